@@ -0,0 +1,30 @@
+import { sendError, sendSuccess } from "../utils/response.js";
+import {
+  getRetentionDays,
+  purgeDeletedRecords,
+} from "../utils/softDeleteCascade.js";
+
+export const purgeDeleted = async (req, res, next) => {
+  try {
+    const { retentionDays } = req.body;
+
+    if (
+      retentionDays !== undefined &&
+      (!Number.isInteger(retentionDays) || retentionDays < 0)
+    ) {
+      return sendError(
+        res,
+        400,
+        "Retention days must be a non-negative whole number"
+      );
+    }
+
+    const result = await purgeDeletedRecords(
+      retentionDays ?? getRetentionDays()
+    );
+
+    return sendSuccess(res, 200, "Deleted records purged successfully", result);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,9 +1,50 @@
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
 import Role from "../models/role.model.js";
 import { sendError, sendSuccess } from "../utils/response.js";
 import { emitUserEvent } from "../utils/socketioFunctions.js";
+import {
+  consumeUserToken,
+  createUserToken,
+  findRefreshToken,
+  issueTokens,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
+} from "../utils/token.js";
+import { verifyGoogleIdToken } from "../utils/googleAuth.js";
+import { sendMail } from "../utils/mailer.js";
+import {
+  ACCOUNT_MAX_ATTEMPTS,
+  IP_MAX_ATTEMPTS,
+  accountThrottleKey,
+  clearFailedLogins,
+  getLockedUntil,
+  ipThrottleKey,
+  recordFailedLogin,
+} from "../utils/loginThrottle.js";
+
+const PASSWORD_RESET_EXPIRES_MINUTES = 60;
+const EMAIL_VERIFICATION_EXPIRES_MINUTES = 24 * 60;
+
+// Compared against when the account does not exist so both paths take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("vd-menu-dummy-password", 10);
+
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(
+    user._id,
+    "emailVerification",
+    EMAIL_VERIFICATION_EXPIRES_MINUTES
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening the link below:\n${clientUrl()}/verify-email?token=${token}\n\nThe link expires in 24 hours.`,
+  });
+};
 
 export const signup = async (req, res, next) => {
   try {
@@ -49,20 +90,27 @@ export const signup = async (req, res, next) => {
 
     await newUser.save();
 
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.log(mailError);
+    }
+
     const populatedUser = await User.findById(newUser._id).populate(
       "roleId",
       "name slug"
     );
 
-    const token = jwt.sign({ user: newUser._id }, process.env.JWT_SECRET);
+    const { token, refreshToken } = await issueTokens(newUser._id, req);
 
     const { password: pass, ...rest } = populatedUser._doc;
 
-    emitUserEvent("userCreated", populatedUser);
+    emitUserEvent("userCreated", newUser._id, rest);
 
     return sendSuccess(res, 201, "User created successfully", {
       user: rest,
       token,
+      refreshToken,
     });
   } catch (error) {
     next(error);
@@ -73,10 +121,10 @@ export const signin = async (req, res, next) => {
   try {
     const { usernameOrEmail, password } = req.body;
 
-    if (!usernameOrEmail) {
+    if (!usernameOrEmail || typeof usernameOrEmail !== "string") {
       return sendError(res, 400, "Username/Email is required.");
     }
-    if (!password) {
+    if (!password || typeof password !== "string") {
       return sendError(res, 400, "Password is required.");
     }
 
@@ -87,27 +135,50 @@ export const signin = async (req, res, next) => {
       user = await User.findOne({ username: usernameOrEmail });
     }
 
-    if (!user) {
-      return sendError(res, 404, "User not found.");
+    const accountKey = accountThrottleKey(user, usernameOrEmail);
+    const ipKey = ipThrottleKey(req.ip);
+
+    const lockedUntil = await getLockedUntil([accountKey, ipKey]);
+    if (lockedUntil) {
+      const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return sendError(
+        res,
+        429,
+        "Too many failed sign-in attempts. Please try again later.",
+        { lockedUntil }
+      );
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return sendError(res, 409, "Invalid password.");
+    const isMatch = await bcrypt.compare(
+      password,
+      user ? user.password : DUMMY_PASSWORD_HASH
+    );
+    if (!user || !isMatch) {
+      await Promise.all([
+        recordFailedLogin(accountKey, ACCOUNT_MAX_ATTEMPTS),
+        recordFailedLogin(ipKey, IP_MAX_ATTEMPTS),
+      ]);
+      return sendError(res, 401, "Invalid username/email or password.");
     }
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+    await clearFailedLogins(accountKey);
+
+    const { token, refreshToken } = await issueTokens(user._id, req);
 
     const populatedUser = await User.findById(user._id).populate(
       "roleId",
       "name slug"
     );
 
-    emitUserEvent("userSignedIn", populatedUser);
+    const { password: pass, ...rest } = populatedUser._doc;
+
+    emitUserEvent("userSignedIn", user._id, rest);
 
     return sendSuccess(res, 200, "User signed in successfully", {
       user: populatedUser,
       token,
+      refreshToken,
     });
   } catch (error) {
     next(error);
@@ -116,20 +187,46 @@ export const signin = async (req, res, next) => {
 
 export const google = async (req, res, next) => {
   try {
-    const { email, username } = req.body;
-    if (!email || !username) {
-      return sendError(res, 400, "Email and username are required.");
+    const { idToken } = req.body;
+    if (!idToken) {
+      return sendError(res, 400, "Google ID token is required.");
     }
 
-    const user = await User.findOne({ email });
+    const { payload, error } = await verifyGoogleIdToken(idToken);
+    if (error) {
+      return sendError(res, error.statusCode, error.message);
+    }
+
+    const { sub: googleId, email } = payload;
+    const username = payload.name || email.split("@")[0];
+
+    let user = await User.findOne({ googleId });
+
+    // Link the Google account to an existing user with the same email
+    if (!user) {
+      user = await User.findOne({ email });
+      if (user) {
+        if (user.googleId) {
+          return sendError(
+            res,
+            409,
+            "Email is already linked to another Google account."
+          );
+        }
+        user.googleId = googleId;
+        user.emailVerified = true;
+        await user.save();
+      }
+    }
 
     // If user already exists, sign in
     if (user) {
       const { password: pass, ...rest } = user._doc;
-      const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+      const { token, refreshToken } = await issueTokens(user._id, req);
       return sendSuccess(res, 200, "User signed in successfully", {
         user: rest,
         token,
+        refreshToken,
       });
     }
 
@@ -168,6 +265,8 @@ export const google = async (req, res, next) => {
       username: finalUsername,
       email,
       password: hashedPassword,
+      googleId,
+      emailVerified: true,
       roleId: role._id,
     });
 
@@ -179,17 +278,187 @@ export const google = async (req, res, next) => {
       "name slug"
     );
 
-    const token = jwt.sign({ userId: newUser._id }, process.env.JWT_SECRET);
+    const { token, refreshToken } = await issueTokens(newUser._id, req);
 
     const { password: pass, ...rest } = populatedUser._doc;
 
-    emitUserEvent("userCreated", populatedUser);
+    emitUserEvent("userCreated", newUser._id, rest);
 
     return sendSuccess(res, 201, "User signed up successfully", {
       user: rest,
       token,
+      refreshToken,
     });
   } catch (error) {
     next(error);
   }
 };
+
+export const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendError(res, 400, "Refresh token is required.");
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    if (!tokens) {
+      return sendError(res, 401, "Invalid or expired refresh token.");
+    }
+
+    return sendSuccess(res, 200, "Token refreshed successfully", {
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendError(res, 400, "Refresh token is required.");
+    }
+
+    const storedToken = await findRefreshToken(refreshToken);
+    if (storedToken) {
+      await revokeSession(storedToken.sessionId);
+    }
+
+    return sendSuccess(res, 200, "User logged out successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const logoutAll = async (req, res, next) => {
+  try {
+    const currentUser = req.user;
+
+    await revokeAllSessions(currentUser._id);
+
+    return sendSuccess(res, 200, "User logged out from all devices");
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return sendError(res, 400, "Email is required.");
+    }
+
+    // Respond the same way whether or not the account exists
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await createUserToken(
+        user._id,
+        "passwordReset",
+        PASSWORD_RESET_EXPIRES_MINUTES
+      );
+
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.name},\n\nReset your password by opening the link below:\n${clientUrl()}/reset-password?token=${token}\n\nThe link expires in 1 hour. If you did not ask for this, ignore this email.`,
+      });
+    }
+
+    return sendSuccess(
+      res,
+      200,
+      "If the email is registered, a password reset link has been sent."
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token) {
+      return sendError(res, 400, "Reset token is required.");
+    }
+    if (!password) {
+      return sendError(res, 400, "Password is required.");
+    }
+    if (password.length < 8) {
+      return sendError(res, 400, "Password must be at least 8 characters.");
+    }
+
+    const userId = await consumeUserToken(token, "passwordReset");
+    if (!userId) {
+      return sendError(res, 400, "Invalid or expired reset token.");
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return sendError(res, 404, "User not found.");
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    // The reset link was delivered to this address, so it is now proven
+    user.emailVerified = true;
+    await user.save();
+
+    // Sign out every device that may have used the old password
+    await revokeAllSessions(user._id);
+
+    return sendSuccess(res, 200, "Password reset successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return sendError(res, 400, "Verification token is required.");
+    }
+
+    const userId = await consumeUserToken(token, "emailVerification");
+    if (!userId) {
+      return sendError(res, 400, "Invalid or expired verification token.");
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { emailVerified: true },
+      { new: true }
+    );
+    if (!user) {
+      return sendError(res, 404, "User not found.");
+    }
+
+    return sendSuccess(res, 200, "Email verified successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const currentUser = req.user;
+
+    if (currentUser.emailVerified) {
+      return sendError(res, 409, "Email is already verified.");
+    }
+
+    await sendVerificationEmail(currentUser);
+
+    return sendSuccess(res, 200, "Verification email sent successfully");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,11 +3,83 @@ import Business from "../models/business.model.js";
 import Telegram from "../models/telegram.model.js";
 import { sendError, sendSuccess } from "../utils/response.js";
 import { emitBusinessEvent } from "../utils/socketioFunctions.js";
+import { checkQuota } from "../utils/quota.js";
+import { generateUniqueSlug, randomSlug, slugify } from "../utils/slug.js";
+import { localizeForRequest, normalizeLocale } from "../utils/translations.js";
+import { isValidPhoneRegion } from "../utils/phone.js";
+import {
+  isValidTimeZone,
+  validateClosures,
+  validateOpeningHours,
+} from "../utils/businessHours.js";
+import {
+  canAccessBusiness,
+  getAccessibleBusinessIds,
+  hasPermission,
+} from "../utils/permissions.js";
+import {
+  restoreBusiness as restoreBusinessTree,
+  softDeleteBusiness,
+} from "../utils/softDeleteCascade.js";
+
+// Slugs stay reserved while a business is soft-deleted, so deleted businesses
+// are checked as well.
+const checkBusinessSlug = async (slug, excludeId) => {
+  const existingBusiness = await Business.findOne({
+    slug,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).setOptions({ withDeleted: true });
+
+  if (existingBusiness) {
+    return { statusCode: 409, message: "Business slug already exists" };
+  }
+
+  return null;
+};
+
+// Validates the schedule fields that were given; returns an error message
+const validateSchedule = ({ timezone, openingHours, closures }) => {
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return "Invalid timezone";
+  }
+  if (openingHours !== undefined) {
+    const openingHoursError = validateOpeningHours(openingHours);
+    if (openingHoursError) return openingHoursError;
+  }
+  if (closures !== undefined) {
+    const closuresError = validateClosures(closures);
+    if (closuresError) return closuresError;
+  }
+
+  return null;
+};
+
+// Single-day closures may omit endDate
+const normalizeClosures = (closures) =>
+  closures.map(({ startDate, endDate, reason }) => ({
+    startDate,
+    endDate: endDate || startDate,
+    reason,
+  }));
 
 export const createBusiness = async (req, res, next) => {
   try {
-    const { telegramId, name, description, location, logo, image, status } =
-      req.body;
+    const {
+      telegramId,
+      name,
+      slug,
+      description,
+      location,
+      logo,
+      image,
+      status,
+      timezone,
+      openingHours,
+      closures,
+      orderingPaused,
+      defaultLocale,
+      phoneRegion,
+    } = req.body;
     const currentUser = req.user;
 
     // Check required fields
@@ -47,29 +119,99 @@ export const createBusiness = async (req, res, next) => {
       );
     }
 
+    const scheduleError = validateSchedule({
+      timezone,
+      openingHours,
+      closures,
+    });
+    if (scheduleError) {
+      return sendError(res, 400, scheduleError);
+    }
+
+    if (defaultLocale !== undefined && !normalizeLocale(defaultLocale)) {
+      return sendError(res, 400, "Default locale must be a language code");
+    }
+
+    if (
+      phoneRegion !== undefined &&
+      !isValidPhoneRegion(String(phoneRegion).toUpperCase())
+    ) {
+      return sendError(
+        res,
+        400,
+        "Phone region must be a supported country code, e.g. KH"
+      );
+    }
+
+    // A given slug must be free; otherwise one is made from the name
+    let businessSlug;
+    if (slug) {
+      businessSlug = slugify(slug);
+      if (!businessSlug) {
+        return sendError(res, 400, "Slug must contain letters or numbers");
+      }
+      const slugError = await checkBusinessSlug(businessSlug);
+      if (slugError) {
+        return sendError(res, slugError.statusCode, slugError.message);
+      }
+    } else {
+      businessSlug = await generateUniqueSlug(Business, name, {
+        fallback: randomSlug("business"),
+      });
+    }
+
     // Ensure telegram.userId matches the logged-in user
     if (telegram.userId.toString() !== currentUser._id.toString()) {
       return sendError(res, 403, "You are not allowed to use this Telegram ID");
     }
 
+    // Order notifications need a chat linked through the bot
+    if (!telegram.verified) {
+      return sendError(
+        res,
+        409,
+        "Telegram contact must be verified before it can be attached."
+      );
+    }
+
+    // Enforce the owner's subscription plan limits
+    if (!hasPermission(currentUser, "quotas:bypass")) {
+      const quotaError = await checkQuota(currentUser._id, "business");
+      if (quotaError) {
+        return sendError(
+          res,
+          quotaError.statusCode,
+          quotaError.message,
+          quotaError.error
+        );
+      }
+    }
+
     const newBusiness = new Business({
       userId: currentUser._id,
       telegramId,
       name,
+      slug: businessSlug,
       description,
       location,
       logo,
       image,
       status: status || "active",
+      timezone,
+      openingHours,
+      closures: closures && normalizeClosures(closures),
+      orderingPaused,
+      defaultLocale: defaultLocale && normalizeLocale(defaultLocale),
+      phoneRegion,
     });
 
     await newBusiness.save();
 
     const populatedBusiness = await Business.findById(newBusiness._id)
       .populate("userId", "name")
-      .populate("telegramId", "name username phoneNumber");
+      .populate("telegramId", "name username phoneNumber verified");
 
-    emitBusinessEvent("businessCreated", populatedBusiness);
+    emitBusinessEvent("businessCreated", newBusiness, populatedBusiness);
 
     return sendSuccess(
       res,
@@ -97,23 +239,20 @@ export const getBusinesses = async (req, res, next) => {
     const skip = (page - 1) * limit;
     const query = {};
     const currentUser = req.user;
+    const canReadAny = hasPermission(currentUser, "businesses:read:any");
 
-    // Normal User: only see their own businesses
-    if (currentUser?.roleId?.slug !== "admin") {
-      query.userId = currentUser?._id;
+    // Normal User: only see their own businesses and those they are a member of
+    if (!canReadAny) {
+      query._id = { $in: await getAccessibleBusinessIds(currentUser) };
     }
 
-    // Admin can filter by any userId
-    if (currentUser?.roleId?.slug === "admin" && userId) {
+    // Users can filter by userId (normal users only by their own)
+    if (userId) {
       query.userId = userId;
     }
 
     // Prevent normal users from filtering by userId (optional double-check)
-    if (
-      currentUser?.roleId?.slug !== "admin" &&
-      userId &&
-      userId !== currentUser._id.toString()
-    ) {
+    if (!canReadAny && userId && userId !== currentUser._id.toString()) {
       return res.status(403).json({
         success: false,
         message: "You are not allowed to filter by userId.",
@@ -134,7 +273,7 @@ export const getBusinesses = async (req, res, next) => {
 
     const businesses = await Business.find(query)
       .populate("userId", "name")
-      .populate("telegramId", "name username phoneNumber")
+      .populate("telegramId", "name username phoneNumber verified")
       .sort({ [sort]: order === "desc" ? -1 : 1 })
       .skip(skip)
       .limit(Number(limit));
@@ -167,13 +306,20 @@ export const getBusiness = async (req, res, next) => {
 
     const populationBusiness = await Business.findById(business._id)
       .populate("userId", "name")
-      .populate("telegramId", "name username phoneNumber");
+      .populate("telegramId", "name username phoneNumber verified");
+
+    const [localizedBusiness] = localizeForRequest(
+      req,
+      res,
+      [populationBusiness],
+      (doc) => doc.defaultLocale
+    );
 
     return sendSuccess(
       res,
       200,
       "Business fetched successfully",
-      populationBusiness
+      localizedBusiness
     );
   } catch (error) {
     next(error);
@@ -183,8 +329,22 @@ export const getBusiness = async (req, res, next) => {
 export const updateBusiness = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, description, location, logo, image, status, telegramId } =
-      req.body;
+    const {
+      name,
+      slug,
+      description,
+      location,
+      logo,
+      image,
+      status,
+      telegramId,
+      timezone,
+      openingHours,
+      closures,
+      orderingPaused,
+      defaultLocale,
+      phoneRegion,
+    } = req.body;
     const currentUser = req.user;
 
     //Check business id
@@ -210,6 +370,18 @@ export const updateBusiness = async (req, res, next) => {
       return sendError(res, 403, "You are not allowed to use this Telegram ID");
     }
 
+    // Businesses attached before verification existed may keep their contact
+    if (
+      !telegram.verified &&
+      telegram._id.toString() !== business.telegramId.toString()
+    ) {
+      return sendError(
+        res,
+        409,
+        "Telegram contact must be verified before it can be attached."
+      );
+    }
+
     //Check status
     if (status && !["active", "inactive", "pending "].includes(status)) {
       return sendError(
@@ -219,11 +391,32 @@ export const updateBusiness = async (req, res, next) => {
       );
     }
 
-    // Check permission: Only owner or admin can proceed
+    const scheduleError = validateSchedule({
+      timezone,
+      openingHours,
+      closures,
+    });
+    if (scheduleError) {
+      return sendError(res, 400, scheduleError);
+    }
+
+    if (defaultLocale !== undefined && !normalizeLocale(defaultLocale)) {
+      return sendError(res, 400, "Default locale must be a language code");
+    }
+
     if (
-      currentUser._id.toString() !== business.userId.toString() &&
-      currentUser.roleId.slug !== "admin"
+      phoneRegion !== undefined &&
+      !isValidPhoneRegion(String(phoneRegion).toUpperCase())
     ) {
+      return sendError(
+        res,
+        400,
+        "Phone region must be a supported country code, e.g. KH"
+      );
+    }
+
+    // Check permission: Only the owner or businesses:write:any can proceed
+    if (!canAccessBusiness(currentUser, business, "businesses:write")) {
       return sendError(
         res,
         403,
@@ -231,17 +424,47 @@ export const updateBusiness = async (req, res, next) => {
       );
     }
 
-    const updatedBusiness = await Business.findByIdAndUpdate(
-      id,
-      { name, description, location, logo, image, status, telegramId },
-      { new: true, runValidators: true }
-    );
+    // The slug only changes when given explicitly, keeping menu links stable
+    const updates = {
+      name,
+      description,
+      location,
+      logo,
+      image,
+      status,
+      telegramId,
+      timezone,
+      openingHours,
+      orderingPaused,
+      phoneRegion,
+    };
+    if (closures !== undefined) {
+      updates.closures = normalizeClosures(closures);
+    }
+    if (defaultLocale !== undefined) {
+      updates.defaultLocale = normalizeLocale(defaultLocale);
+    }
+    if (slug !== undefined) {
+      updates.slug = slugify(slug);
+      if (!updates.slug) {
+        return sendError(res, 400, "Slug must contain letters or numbers");
+      }
+      const slugError = await checkBusinessSlug(updates.slug, business._id);
+      if (slugError) {
+        return sendError(res, slugError.statusCode, slugError.message);
+      }
+    }
+
+    const updatedBusiness = await Business.findByIdAndUpdate(id, updates, {
+      new: true,
+      runValidators: true,
+    });
 
     const populatedBusiness = await Business.findById(updatedBusiness._id)
       .populate("userId", "name")
-      .populate("telegramId", "name username phoneNumber");
+      .populate("telegramId", "name username phoneNumber verified");
 
-    emitBusinessEvent("businessUpdated", populatedBusiness);
+    emitBusinessEvent("businessUpdated", business, populatedBusiness);
 
     return sendSuccess(
       res,
@@ -254,6 +477,54 @@ export const updateBusiness = async (req, res, next) => {
   }
 };
 
+// Pause or resume ordering, available to staff who can take orders
+export const setOrderingPaused = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { paused } = req.body;
+    const currentUser = req.user;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid Business ID format");
+    }
+
+    if (typeof paused !== "boolean") {
+      return sendError(res, 400, "Paused must be a boolean");
+    }
+
+    const business = await Business.findById(id);
+    if (!business) {
+      return sendError(res, 404, "Business not found");
+    }
+
+    if (!canAccessBusiness(currentUser, business, "orders:write")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: You are not allowed to manage ordering for this business."
+      );
+    }
+
+    business.orderingPaused = paused;
+    await business.save();
+
+    const populatedBusiness = await Business.findById(business._id)
+      .populate("userId", "name")
+      .populate("telegramId", "name username phoneNumber verified");
+
+    emitBusinessEvent("businessUpdated", business, populatedBusiness);
+
+    return sendSuccess(
+      res,
+      200,
+      paused ? "Ordering paused successfully" : "Ordering resumed successfully",
+      populatedBusiness
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const deleteBusiness = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -269,10 +540,7 @@ export const deleteBusiness = async (req, res, next) => {
     }
 
     // Check permission before deleting
-    if (
-      currentUser._id.toString() !== business.userId.toString() &&
-      currentUser.roleId.slug !== "admin"
-    ) {
+    if (!canAccessBusiness(currentUser, business, "businesses:write")) {
       return sendError(
         res,
         403,
@@ -280,12 +548,58 @@ export const deleteBusiness = async (req, res, next) => {
       );
     }
 
-    await Business.findByIdAndDelete(id);
+    // Soft delete the business together with its categories and items
+    await softDeleteBusiness(id, currentUser._id);
 
-    emitBusinessEvent("businessDeleted", id);
+    emitBusinessEvent("businessDeleted", business, id);
 
     return sendSuccess(res, 200, "Business deleted successfully");
   } catch (error) {
     next(error);
   }
 };
+
+export const restoreBusiness = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid Business ID format");
+    }
+
+    const business = await Business.findOne({
+      _id: id,
+      deletedAt: { $ne: null },
+    });
+    if (!business) {
+      return sendError(res, 404, "Deleted business not found");
+    }
+
+    if (!canAccessBusiness(currentUser, business, "businesses:write")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the owner or an admin can perform this action."
+      );
+    }
+
+    // Restore the business with the categories and items deleted along with it
+    await restoreBusinessTree(business);
+
+    const populatedBusiness = await Business.findById(id)
+      .populate("userId", "name")
+      .populate("telegramId", "name username phoneNumber verified");
+
+    emitBusinessEvent("businessRestored", business, populatedBusiness);
+
+    return sendSuccess(
+      res,
+      200,
+      "Business restored successfully",
+      populatedBusiness
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,323 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Business from "../models/business.model.js";
+import BusinessMember from "../models/businessMember.model.js";
+import { sendError, sendSuccess } from "../utils/response.js";
+import { hashToken } from "../utils/token.js";
+import { sendMail } from "../utils/mailer.js";
+import { emitMemberEvent } from "../utils/socketioFunctions.js";
+import {
+  BUSINESS_MEMBER_ROLES,
+  canAccessBusiness,
+} from "../utils/permissions.js";
+
+const INVITE_EXPIRES_DAYS = 7;
+
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+// Owners and admins manage every member; managers only cashier and kitchen
+const canManageMember = (user, business, role) => {
+  if (canAccessBusiness(user, business, "businesses:write")) return true;
+
+  return (
+    canAccessBusiness(user, business, "members:manage") && role !== "manager"
+  );
+};
+
+const findBusiness = async (res, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    sendError(res, 400, "Invalid Business ID format");
+    return null;
+  }
+
+  const business = await Business.findById(id);
+  if (!business) {
+    sendError(res, 404, "Business not found");
+    return null;
+  }
+
+  return business;
+};
+
+export const getMembers = async (req, res, next) => {
+  try {
+    const currentUser = req.user;
+    const business = await findBusiness(res, req.params.id);
+    if (!business) return;
+
+    if (
+      !canAccessBusiness(currentUser, business, "businesses:write") &&
+      !canAccessBusiness(currentUser, business, "members:manage")
+    ) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: You are not allowed to view members of this business."
+      );
+    }
+
+    const members = await BusinessMember.find({ businessId: business._id })
+      .populate("userId", "name username email")
+      .populate("invitedBy", "name")
+      .sort({ createdAt: -1 });
+
+    return sendSuccess(res, 200, "Members fetched successfully", members);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const inviteMember = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+    const currentUser = req.user;
+
+    const business = await findBusiness(res, req.params.id);
+    if (!business) return;
+
+    if (typeof email !== "string" || !email.trim()) {
+      return sendError(res, 400, "Email is required.");
+    }
+
+    if (!BUSINESS_MEMBER_ROLES.includes(role)) {
+      return sendError(
+        res,
+        400,
+        `Role must be one of: ${BUSINESS_MEMBER_ROLES.join(", ")}.`
+      );
+    }
+
+    if (!canManageMember(currentUser, business, role)) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: You are not allowed to invite this member."
+      );
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const existingMember = await BusinessMember.findOne({
+      businessId: business._id,
+      email: normalizedEmail,
+    });
+    if (existingMember?.status === "active") {
+      return sendError(
+        res,
+        409,
+        "This email is already a member of the business."
+      );
+    }
+    // A pending invitation is sent again with a new token
+    if (
+      existingMember &&
+      !canManageMember(currentUser, business, existingMember.role)
+    ) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: You are not allowed to invite this member."
+      );
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const invite = {
+      role,
+      invitedBy: currentUser._id,
+      inviteTokenHash: hashToken(token),
+      inviteExpiresAt: new Date(
+        Date.now() + INVITE_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+      ),
+    };
+
+    let member;
+    if (existingMember) {
+      member = await BusinessMember.findOneAndUpdate(
+        { _id: existingMember._id, status: "pending" },
+        invite,
+        { new: true, runValidators: true }
+      );
+      if (!member) {
+        return sendError(
+          res,
+          409,
+          "This email is already a member of the business."
+        );
+      }
+    } else {
+      member = await BusinessMember.create({
+        businessId: business._id,
+        email: normalizedEmail,
+        ...invite,
+      });
+    }
+
+    try {
+      await sendMail({
+        to: normalizedEmail,
+        subject: `You are invited to join ${business.name}`,
+        text: `Hi,\n\n${currentUser.name} invited you to join ${business.name} as ${role}. Accept the invitation by opening the link below:\n${clientUrl()}/businesses/${business._id}/invitations/accept?token=${token}\n\nThe link expires in ${INVITE_EXPIRES_DAYS} days.`,
+      });
+    } catch (error) {
+      // Nobody received the token, so a new invitation must not be blocked
+      if (!existingMember) {
+        await BusinessMember.findByIdAndDelete(member._id);
+      }
+      throw error;
+    }
+
+    // Re-fetch so the invite token hash is not returned
+    const populatedMember = await BusinessMember.findById(member._id).populate(
+      "invitedBy",
+      "name"
+    );
+
+    emitMemberEvent("memberInvited", business, populatedMember);
+
+    return sendSuccess(
+      res,
+      existingMember ? 200 : 201,
+      existingMember
+        ? "Invitation sent again successfully"
+        : "Member invited successfully",
+      populatedMember
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const acceptInvitation = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    const currentUser = req.user;
+
+    const business = await findBusiness(res, req.params.id);
+    if (!business) return;
+
+    if (!token) {
+      return sendError(res, 400, "Token is required.");
+    }
+
+    const member = await BusinessMember.findOne({
+      businessId: business._id,
+      inviteTokenHash: hashToken(token),
+      status: "pending",
+      inviteExpiresAt: { $gt: new Date() },
+    });
+    if (!member) {
+      return sendError(res, 400, "Invalid or expired invitation.");
+    }
+
+    if (member.email !== currentUser.email?.toLowerCase()) {
+      return sendError(
+        res,
+        403,
+        "This invitation was sent to a different email address."
+      );
+    }
+
+    member.userId = currentUser._id;
+    member.status = "active";
+    member.acceptedAt = new Date();
+    member.inviteTokenHash = undefined;
+    member.inviteExpiresAt = undefined;
+    await member.save();
+
+    emitMemberEvent("memberJoined", business, member);
+
+    return sendSuccess(res, 200, "Invitation accepted successfully", member);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateMember = async (req, res, next) => {
+  try {
+    const { memberId } = req.params;
+    const { role } = req.body;
+    const currentUser = req.user;
+
+    const business = await findBusiness(res, req.params.id);
+    if (!business) return;
+
+    if (!mongoose.Types.ObjectId.isValid(memberId)) {
+      return sendError(res, 400, "Invalid Member ID format");
+    }
+
+    if (!BUSINESS_MEMBER_ROLES.includes(role)) {
+      return sendError(
+        res,
+        400,
+        `Role must be one of: ${BUSINESS_MEMBER_ROLES.join(", ")}.`
+      );
+    }
+
+    const member = await BusinessMember.findOne({
+      _id: memberId,
+      businessId: business._id,
+    });
+    if (!member) {
+      return sendError(res, 404, "Member not found");
+    }
+
+    if (
+      !canManageMember(currentUser, business, member.role) ||
+      !canManageMember(currentUser, business, role)
+    ) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: You are not allowed to update this member."
+      );
+    }
+
+    member.role = role;
+    await member.save();
+
+    emitMemberEvent("memberUpdated", business, member);
+
+    return sendSuccess(res, 200, "Member updated successfully", member);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const removeMember = async (req, res, next) => {
+  try {
+    const { memberId } = req.params;
+    const currentUser = req.user;
+
+    const business = await findBusiness(res, req.params.id);
+    if (!business) return;
+
+    if (!mongoose.Types.ObjectId.isValid(memberId)) {
+      return sendError(res, 400, "Invalid Member ID format");
+    }
+
+    const member = await BusinessMember.findOne({
+      _id: memberId,
+      businessId: business._id,
+    });
+    if (!member) {
+      return sendError(res, 404, "Member not found");
+    }
+
+    // Members may always leave a business themselves
+    const isSelf = member.userId?.toString() === currentUser._id.toString();
+    if (!isSelf && !canManageMember(currentUser, business, member.role)) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: You are not allowed to remove this member."
+      );
+    }
+
+    await BusinessMember.findByIdAndDelete(member._id);
+
+    emitMemberEvent("memberRemoved", business, member._id);
+
+    return sendSuccess(res, 200, "Member removed successfully");
+  } catch (error) {
+    next(error);
+  }
+};
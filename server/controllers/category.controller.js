@@ -3,10 +3,94 @@ import Category from "../models/category.model.js";
 import Business from "../models/business.model.js";
 import { emitCategoryEvent } from "../utils/socketioFunctions.js";
 import { sendError, sendSuccess } from "../utils/response.js";
+import { checkQuota } from "../utils/quota.js";
+import { validateOpeningHours } from "../utils/businessHours.js";
+import { generateUniqueSlug } from "../utils/slug.js";
+import { canAccessBusiness, hasPermission } from "../utils/permissions.js";
+import { localizeForRequest } from "../utils/translations.js";
+import {
+  restoreCategory as restoreCategoryTree,
+  softDeleteCategory,
+} from "../utils/softDeleteCascade.js";
+
+const generateCategorySlug = (businessId, name, excludeId) =>
+  generateUniqueSlug(Category, name, {
+    scope: { businessId },
+    excludeId,
+    fallback: "category",
+  });
+
+// Saves the category, picking a fresh slug when a concurrent request took
+// the same one first.
+const saveCategory = async (category, attempts = 3) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await category.save();
+    } catch (error) {
+      if (
+        error.code !== 11000 ||
+        !error.keyPattern?.slug ||
+        attempt >= attempts
+      ) {
+        throw error;
+      }
+      category.slug = await generateCategorySlug(
+        category.businessId,
+        category.name,
+        category._id
+      );
+    }
+  }
+};
+
+// Validates a parent for a sub-menu. Menus nest one level deep, so the parent
+// must be a top-level category of the same business and the category itself
+// must not have subcategories. Returns null or { statusCode, message }.
+const validateParent = async (parentId, businessId, category) => {
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return { statusCode: 400, message: "Invalid Parent Category ID format" };
+  }
+
+  if (category && category._id.toString() === parentId.toString()) {
+    return {
+      statusCode: 400,
+      message: "A category cannot be its own parent",
+    };
+  }
+
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    return { statusCode: 404, message: "Parent category not found" };
+  }
+
+  if (parent.businessId.toString() !== businessId.toString()) {
+    return {
+      statusCode: 400,
+      message: "Parent category must belong to the same business",
+    };
+  }
+
+  if (parent.parentId) {
+    return {
+      statusCode: 400,
+      message: "Subcategories cannot have subcategories",
+    };
+  }
+
+  if (category && (await Category.exists({ parentId: category._id }))) {
+    return {
+      statusCode: 409,
+      message: "A category with subcategories cannot become a subcategory",
+    };
+  }
+
+  return null;
+};
 
 export const createCategory = async (req, res, next) => {
   try {
-    const { businessId, name, description, status } = req.body;
+    const { businessId, name, description, status, parentId, availableHours } =
+      req.body;
     const currentUser = req.user;
 
     //Check business id
@@ -36,35 +120,62 @@ export const createCategory = async (req, res, next) => {
       return sendError(res, 409, "Category name already exists for this user");
     }
 
-    // Generate a unique slug (unique across all users)
-    const slug = name.toLowerCase().replace(/\s+/g, "-");
-    const existingSlug = await Category.findOne({
-      slug: { $regex: new RegExp(`^${slug}$`, "i") },
-      businessId,
-    });
+    if (status && !["active", "inactive"].includes(status)) {
+      return sendError(res, 400, "Status must be 'active' or 'inactive'");
+    }
 
-    if (existingSlug) {
-      return sendError(res, 409, "Category slug already exists");
+    if (availableHours !== undefined) {
+      const availableHoursError = validateOpeningHours(availableHours);
+      if (availableHoursError) {
+        return sendError(res, 400, availableHoursError);
+      }
     }
 
-    if (status && !["active", "inactive"].includes(status)) {
-      return sendError(res, 400, "Status must be 'active' or 'inactive'");
+    if (parentId) {
+      const parentError = await validateParent(parentId, businessId);
+      if (parentError) {
+        return sendError(res, parentError.statusCode, parentError.message);
+      }
     }
 
-    // Ensure telegram.userId matches the logged-in user
-    if (business.userId.toString() !== currentUser._id.toString()) {
+    // Ensure the logged-in user may manage categories of this business
+    if (!canAccessBusiness(currentUser, business, "categories:write")) {
       return sendError(res, 403, "You are not allowed to use this Business ID");
     }
 
+    // Enforce the business owner's subscription plan limits
+    if (!hasPermission(currentUser, "quotas:bypass")) {
+      const quotaError = await checkQuota(business.userId, "category");
+      if (quotaError) {
+        return sendError(
+          res,
+          quotaError.statusCode,
+          quotaError.message,
+          quotaError.error
+        );
+      }
+    }
+
+    // New categories go to the end of the menu
+    const lastCategory = await Category.findOne({ businessId })
+      .sort({ position: -1 })
+      .select("position");
+
+    // Unique within the business, suffixed on collisions
+    const slug = await generateCategorySlug(businessId, name);
+
     const newCategory = new Category({
       businessId,
       name,
       slug,
       description,
       status: status || "active",
+      parentId: parentId || null,
+      availableHours,
+      position: lastCategory ? lastCategory.position + 1 : 0,
     });
 
-    await newCategory.save();
+    await saveCategory(newCategory);
 
     const populatedCategory = await Category.findById(newCategory._id).populate(
       {
@@ -83,7 +194,7 @@ export const createCategory = async (req, res, next) => {
       }
     );
 
-    emitCategoryEvent("categoryCreated", populatedCategory);
+    emitCategoryEvent("categoryCreated", businessId, populatedCategory);
 
     return sendSuccess(
       res,
@@ -101,12 +212,13 @@ export const getCategories = async (req, res, next) => {
     const {
       page = 1,
       limit = 10,
-      sort = "createdAt",
-      order = "desc",
+      sort = "position",
+      order = "asc",
       search = "",
       businessId,
       status,
       userId,
+      parentId,
     } = req.query;
 
     const skip = (page - 1) * limit;
@@ -136,6 +248,16 @@ export const getCategories = async (req, res, next) => {
       query.status = status;
     }
 
+    // parentId=null lists top-level categories only
+    if (parentId === "null") {
+      query.parentId = null;
+    } else if (parentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentId)) {
+        return sendError(res, 400, "Invalid Parent Category ID format.");
+      }
+      query.parentId = parentId;
+    }
+
     if (userId) {
       const userBusinesses = await Business.find({ userId }).select("_id");
 
@@ -156,7 +278,7 @@ export const getCategories = async (req, res, next) => {
     const categories = await Category.find(query)
       .populate({
         path: "businessId",
-        select: "name description userId telegramId",
+        select: "name description userId telegramId defaultLocale translations",
         populate: [
           { path: "userId", select: "name" },
           { path: "telegramId", select: "name username phoneNumber" },
@@ -172,7 +294,13 @@ export const getCategories = async (req, res, next) => {
       total,
       page: Number(page),
       limit: Number(limit),
-      data: categories,
+      data: localizeForRequest(
+        req,
+        res,
+        categories,
+        (category) => category.businessId?.defaultLocale,
+        ["businessId"]
+      ),
     });
   } catch (error) {
     next(error);
@@ -194,7 +322,7 @@ export const getCategory = async (req, res, next) => {
 
     const populatedCategory = await Category.findById(category._id).populate({
       path: "businessId",
-      select: "userId telegramId name description",
+      select: "userId telegramId name description defaultLocale translations",
       populate: [
         {
           path: "userId",
@@ -207,11 +335,19 @@ export const getCategory = async (req, res, next) => {
       ],
     });
 
+    const [localizedCategory] = localizeForRequest(
+      req,
+      res,
+      [populatedCategory],
+      (doc) => doc.businessId?.defaultLocale,
+      ["businessId"]
+    );
+
     return sendSuccess(
       res,
       200,
       "Category fetched successfully",
-      populatedCategory
+      localizedCategory
     );
   } catch (error) {
     next(error);
@@ -221,7 +357,15 @@ export const getCategory = async (req, res, next) => {
 export const updateCategory = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { businessId, name, description, status } = req.body;
+    const {
+      businessId,
+      name,
+      description,
+      status,
+      parentId,
+      availableHours,
+      position,
+    } = req.body;
     const currentUser = req.user;
 
     // Validate category ID format
@@ -236,10 +380,7 @@ export const updateCategory = async (req, res, next) => {
 
     // Check permission to update category: Only the owner or admin
     const currentBusiness = await Business.findById(category.businessId);
-    if (
-      currentUser._id.toString() !== currentBusiness.userId.toString() &&
-      currentUser.roleId.slug !== "admin"
-    ) {
+    if (!canAccessBusiness(currentUser, currentBusiness, "categories:write")) {
       return sendError(
         res,
         403,
@@ -258,10 +399,7 @@ export const updateCategory = async (req, res, next) => {
         return sendError(res, 404, "Business not found");
       }
 
-      if (
-        newBusiness.userId.toString() !== currentUser._id.toString() &&
-        currentUser.roleId.slug !== "admin"
-      ) {
+      if (!canAccessBusiness(currentUser, newBusiness, "categories:write")) {
         return sendError(
           res,
           403,
@@ -269,9 +407,50 @@ export const updateCategory = async (req, res, next) => {
         );
       }
 
+      // The category leaves its parent when it moves to another business
+      if (businessId !== category.businessId.toString()) {
+        if (await Category.exists({ parentId: category._id })) {
+          return sendError(
+            res,
+            409,
+            "Move or remove the subcategories before moving this category"
+          );
+        }
+        category.parentId = null;
+      }
+
       category.businessId = businessId;
     }
 
+    if (parentId !== undefined) {
+      if (parentId) {
+        const parentError = await validateParent(
+          parentId,
+          category.businessId,
+          category
+        );
+        if (parentError) {
+          return sendError(res, parentError.statusCode, parentError.message);
+        }
+      }
+      category.parentId = parentId || null;
+    }
+
+    if (availableHours !== undefined) {
+      const availableHoursError = validateOpeningHours(availableHours);
+      if (availableHoursError) {
+        return sendError(res, 400, availableHoursError);
+      }
+      category.availableHours = availableHours;
+    }
+
+    if (position !== undefined) {
+      if (!Number.isInteger(position)) {
+        return sendError(res, 400, "Position must be a whole number");
+      }
+      category.position = position;
+    }
+
     // Validate status
     if (status && !["active", "inactive"].includes(status)) {
       return sendError(res, 400, "Status must be 'active' or 'inactive'");
@@ -292,28 +471,22 @@ export const updateCategory = async (req, res, next) => {
         );
       }
 
-      const slug = name.toLowerCase().replace(/\s+/g, "-");
-      const existingSlug = await Category.findOne({
-        slug: { $regex: new RegExp(`^${slug}$`, "i") },
-        businessId: category.businessId,
-        _id: { $ne: id },
-      });
-      if (existingSlug) {
-        return sendError(
-          res,
-          409,
-          "Category slug already exists for this business"
-        );
-      }
-
       category.name = name;
-      category.slug = slug;
+    }
+
+    // Regenerate the slug on rename or when moving to another business
+    if (category.isModified("name") || category.isModified("businessId")) {
+      category.slug = await generateCategorySlug(
+        category.businessId,
+        category.name,
+        category._id
+      );
     }
 
     if (description) category.description = description;
     if (status) category.status = status;
 
-    await category.save();
+    await saveCategory(category);
 
     const populatedCategory = await Category.findById(category._id).populate({
       path: "businessId",
@@ -324,7 +497,11 @@ export const updateCategory = async (req, res, next) => {
       ],
     });
 
-    emitCategoryEvent("categoryUpdated", populatedCategory);
+    emitCategoryEvent(
+      "categoryUpdated",
+      category.businessId,
+      populatedCategory
+    );
 
     return sendSuccess(
       res,
@@ -353,10 +530,63 @@ export const deleteCategory = async (req, res, next) => {
 
     // Check permission: Only owner or admin can proceed
     const business = await Business.findById(category.businessId);
+    if (!canAccessBusiness(currentUser, business, "categories:write")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the owner or an admin can perform this action."
+      );
+    }
+
+    // Soft delete the category together with its items
+    await softDeleteCategory(id, currentUser._id);
+
+    emitCategoryEvent("categoryDeleted", category.businessId, id);
+
+    return sendSuccess(res, 200, "Category deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const restoreCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid category ID format");
+    }
+
+    const category = await Category.findOne({
+      _id: id,
+      deletedAt: { $ne: null },
+    });
+    if (!category) {
+      return sendError(res, 404, "Deleted category not found");
+    }
+
+    const business = await Business.findById(category.businessId);
+    if (!business) {
+      return sendError(
+        res,
+        409,
+        "The category's business is deleted. Restore the business instead."
+      );
+    }
+
     if (
-      currentUser._id.toString() !== business.userId.toString() &&
-      currentUser.roleId.slug !== "admin"
+      category.parentId &&
+      !(await Category.exists({ _id: category.parentId }))
     ) {
+      return sendError(
+        res,
+        409,
+        "The parent category is deleted. Restore the parent instead."
+      );
+    }
+
+    if (!canAccessBusiness(currentUser, business, "categories:write")) {
       return sendError(
         res,
         403,
@@ -364,11 +594,108 @@ export const deleteCategory = async (req, res, next) => {
       );
     }
 
-    await Category.findByIdAndDelete(id);
+    // Restore the category with the items deleted along with it
+    await restoreCategoryTree(category);
 
-    emitCategoryEvent("categoryDeleted", id);
+    const populatedCategory = await Category.findById(id).populate({
+      path: "businessId",
+      select: "userId telegramId name description",
+      populate: [
+        { path: "userId", select: "name" },
+        { path: "telegramId", select: "name username phoneNumber" },
+      ],
+    });
 
-    return sendSuccess(res, 200, "Category deleted successfully");
+    emitCategoryEvent(
+      "categoryRestored",
+      category.businessId,
+      populatedCategory
+    );
+
+    return sendSuccess(
+      res,
+      200,
+      "Category restored successfully",
+      populatedCategory
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Bulk reorder: categoryIds lists the business's categories in display order
+export const reorderCategories = async (req, res, next) => {
+  try {
+    const { businessId, categoryIds } = req.body;
+    const currentUser = req.user;
+
+    if (!mongoose.Types.ObjectId.isValid(businessId)) {
+      return sendError(res, 400, "Invalid Business ID format");
+    }
+
+    if (
+      !Array.isArray(categoryIds) ||
+      categoryIds.length === 0 ||
+      !categoryIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      return sendError(
+        res,
+        400,
+        "Category IDs must be a non-empty array of valid IDs"
+      );
+    }
+
+    if (new Set(categoryIds.map(String)).size !== categoryIds.length) {
+      return sendError(res, 400, "Category IDs must not repeat");
+    }
+
+    const business = await Business.findById(businessId);
+    if (!business) {
+      return sendError(res, 404, "Business not found");
+    }
+
+    if (!canAccessBusiness(currentUser, business, "categories:write")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the owner or an admin can reorder categories."
+      );
+    }
+
+    const matchingCount = await Category.countDocuments({
+      _id: { $in: categoryIds },
+      businessId,
+    });
+    if (matchingCount !== categoryIds.length) {
+      return sendError(
+        res,
+        400,
+        "Every category must belong to the given business"
+      );
+    }
+
+    await Category.bulkWrite(
+      categoryIds.map((id, position) => ({
+        updateOne: {
+          filter: { _id: id, businessId },
+          update: { $set: { position } },
+        },
+      }))
+    );
+
+    const categories = await Category.find({ businessId }).sort({
+      position: 1,
+      createdAt: 1,
+    });
+
+    emitCategoryEvent("categoriesReordered", businessId, categories);
+
+    return sendSuccess(
+      res,
+      200,
+      "Categories reordered successfully",
+      categories
+    );
   } catch (error) {
     next(error);
   }
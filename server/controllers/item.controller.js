@@ -4,11 +4,35 @@ import Item from "../models/item.model.js";
 import Business from "../models/business.model.js";
 import { sendError, sendSuccess } from "../utils/response.js";
 import { emitItemEvent } from "../utils/socketioFunctions.js";
+import { checkQuota } from "../utils/quota.js";
+import {
+  mergeOptionGroups,
+  validateOptionGroups,
+} from "../utils/itemOptions.js";
+import { isValidStock } from "../utils/stock.js";
+import { canAccessBusiness, hasPermission } from "../utils/permissions.js";
+import { localizeForRequest } from "../utils/translations.js";
+import {
+  restoreItem as restoreDeletedItem,
+  softDeleteItem,
+} from "../utils/softDeleteCascade.js";
 
 export const createItem = async (req, res, next) => {
   try {
-    const { categoryId, name, description, price, image, meta, tags, status } =
-      req.body;
+    const {
+      categoryId,
+      name,
+      description,
+      price,
+      image,
+      meta,
+      tags,
+      optionGroups,
+      stock,
+      lowStockThreshold,
+      status,
+    } = req.body;
+    const currentUser = req.user;
 
     // Validate category
     if (!categoryId) {
@@ -39,9 +63,59 @@ export const createItem = async (req, res, next) => {
       return sendError(res, 400, "Status must be 'active' or 'inactive'");
     }
 
+    if (optionGroups !== undefined) {
+      const optionGroupsError = validateOptionGroups(optionGroups);
+      if (optionGroupsError) {
+        return sendError(res, 400, optionGroupsError);
+      }
+    }
+
+    if (stock !== undefined && !isValidStock(stock)) {
+      return sendError(
+        res,
+        400,
+        "Stock must be a non-negative whole number or null."
+      );
+    }
+
+    if (lowStockThreshold !== undefined && !isValidStock(lowStockThreshold)) {
+      return sendError(
+        res,
+        400,
+        "Low stock threshold must be a non-negative whole number or null."
+      );
+    }
+
     // Extract businessId from category
     const businessId = category.businessId._id;
 
+    // Check permission: Only the business owner or an admin can create
+    const business = await Business.findById(businessId);
+    if (!business) {
+      return sendError(res, 404, "Business not found");
+    }
+
+    if (!canAccessBusiness(currentUser, business, "items:write")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the business owner or an admin can create this item."
+      );
+    }
+
+    // Enforce the business owner's subscription plan limits
+    if (!hasPermission(currentUser, "quotas:bypass")) {
+      const quotaError = await checkQuota(business.userId, "item");
+      if (quotaError) {
+        return sendError(
+          res,
+          quotaError.statusCode,
+          quotaError.message,
+          quotaError.error
+        );
+      }
+    }
+
     const newItem = await Item.create({
       businessId,
       categoryId,
@@ -51,6 +125,9 @@ export const createItem = async (req, res, next) => {
       image,
       meta,
       tags,
+      optionGroups,
+      stock,
+      lowStockThreshold,
       status: status || "active",
     });
 
@@ -58,7 +135,7 @@ export const createItem = async (req, res, next) => {
       .populate("categoryId")
       .populate("businessId");
 
-    emitItemEvent("itemCreated", populatedItem);
+    emitItemEvent("itemCreated", businessId, populatedItem);
 
     return sendSuccess(res, 201, "Item created successfully", populatedItem);
   } catch (error) {
@@ -118,7 +195,13 @@ export const getItems = async (req, res, next) => {
       total,
       page: Number(page),
       limit: Number(limit),
-      data: items,
+      data: localizeForRequest(
+        req,
+        res,
+        items,
+        (item) => item.businessId?.defaultLocale,
+        ["categoryId", "businessId"]
+      ),
     });
   } catch (error) {
     next(error);
@@ -148,10 +231,20 @@ export const getItem = async (req, res, next) => {
 export const updateItem = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { categoryId, name, description, price, image, meta, tags, status } =
-      req.body;
-    const userId = req.user._id;
-    const userRole = req.user.roleId?.slug;
+    const {
+      categoryId,
+      name,
+      description,
+      price,
+      image,
+      meta,
+      tags,
+      optionGroups,
+      stock,
+      lowStockThreshold,
+      status,
+    } = req.body;
+    const currentUser = req.user;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return sendError(res, 400, "Invalid Item ID format.");
@@ -159,6 +252,16 @@ export const updateItem = async (req, res, next) => {
     const item = await Item.findById(id);
     if (!item) return sendError(res, 404, "Item not found");
 
+    // The caller must be able to manage the item where it currently is
+    const currentBusiness = await Business.findById(item.businessId);
+    if (!canAccessBusiness(currentUser, currentBusiness, "items:write")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the business owner or an admin can update this item."
+      );
+    }
+
     // Validate category if it's being changed
     let businessId = item.businessId;
     if (categoryId && categoryId !== item.categoryId.toString()) {
@@ -173,10 +276,7 @@ export const updateItem = async (req, res, next) => {
       return sendError(res, 404, "Business not found");
     }
 
-    if (
-      userId.toString() !== business.userId.toString() &&
-      userRole !== "admin"
-    ) {
+    if (!canAccessBusiness(currentUser, business, "items:write")) {
       return sendError(
         res,
         403,
@@ -193,6 +293,33 @@ export const updateItem = async (req, res, next) => {
     if (image) item.image = image;
     if (meta) item.meta = meta;
     if (tags) item.tags = tags;
+    if (optionGroups !== undefined) {
+      const optionGroupsError = validateOptionGroups(optionGroups);
+      if (optionGroupsError) {
+        return sendError(res, 400, optionGroupsError);
+      }
+      item.optionGroups = mergeOptionGroups(item.optionGroups, optionGroups);
+    }
+    if (stock !== undefined) {
+      if (!isValidStock(stock)) {
+        return sendError(
+          res,
+          400,
+          "Stock must be a non-negative whole number or null."
+        );
+      }
+      item.stock = stock;
+    }
+    if (lowStockThreshold !== undefined) {
+      if (!isValidStock(lowStockThreshold)) {
+        return sendError(
+          res,
+          400,
+          "Low stock threshold must be a non-negative whole number or null."
+        );
+      }
+      item.lowStockThreshold = lowStockThreshold;
+    }
     if (status) {
       if (!["active", "inactive"].includes(status)) {
         return sendError(res, 400, "Status must be 'active' or 'inactive'");
@@ -206,7 +333,7 @@ export const updateItem = async (req, res, next) => {
       .populate("categoryId")
       .populate("businessId");
 
-    emitItemEvent("itemUpdated", populatedItem);
+    emitItemEvent("itemUpdated", item.businessId, populatedItem);
 
     return sendSuccess(res, 200, "Item updated successfully", item);
   } catch (error) {
@@ -217,8 +344,7 @@ export const updateItem = async (req, res, next) => {
 export const deleteItem = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
-    const userRole = req.user.roleId?.slug;
+    const currentUser = req.user;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return sendError(res, 400, "Invalid item ID format");
@@ -236,10 +362,7 @@ export const deleteItem = async (req, res, next) => {
     }
 
     // Permission check: Only the business owner or an admin can delete the item
-    if (
-      userId.toString() !== business.userId.toString() &&
-      userRole !== "admin"
-    ) {
+    if (!canAccessBusiness(currentUser, business, "items:write")) {
       return sendError(
         res,
         403,
@@ -247,12 +370,112 @@ export const deleteItem = async (req, res, next) => {
       );
     }
 
-    await Item.findByIdAndDelete(id);
+    await softDeleteItem(id, currentUser._id);
 
-    emitItemEvent("itemDeleted", id);
+    emitItemEvent("itemDeleted", item.businessId, id);
 
     return sendSuccess(res, 200, "Item deleted successfully");
   } catch (error) {
     next(error);
   }
 };
+
+// Sets the stock of an item, or of one of its options when optionId is
+// given. null stops tracking stock.
+export const restockItem = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { stock, optionId } = req.body;
+    const currentUser = req.user;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid Item ID format.");
+    }
+
+    if (stock === undefined || !isValidStock(stock)) {
+      return sendError(
+        res,
+        400,
+        "Stock must be a non-negative whole number or null."
+      );
+    }
+
+    if (optionId !== undefined && !mongoose.Types.ObjectId.isValid(optionId)) {
+      return sendError(res, 400, "Invalid Option ID format.");
+    }
+
+    const item = await Item.findById(id);
+    if (!item) return sendError(res, 404, "Item not found");
+
+    const business = await Business.findById(item.businessId);
+    if (!canAccessBusiness(currentUser, business, "items:write")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the business owner or an admin can restock this item."
+      );
+    }
+
+    // Set atomically so concurrent order decrements are not overwritten
+    const updatedItem = optionId
+      ? await Item.findOneAndUpdate(
+          { _id: id, "optionGroups.options._id": optionId },
+          { $set: { "optionGroups.$[].options.$[option].stock": stock } },
+          { new: true, arrayFilters: [{ "option._id": optionId }] }
+        )
+      : await Item.findByIdAndUpdate(id, { stock }, { new: true });
+    if (!updatedItem) return sendError(res, 404, "Option not found");
+
+    emitItemEvent("itemRestocked", item.businessId, updatedItem);
+
+    return sendSuccess(res, 200, "Item restocked successfully", updatedItem);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const restoreItem = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid item ID format");
+    }
+
+    const item = await Item.findOne({ _id: id, deletedAt: { $ne: null } });
+    if (!item) {
+      return sendError(res, 404, "Deleted item not found");
+    }
+
+    const category = await Category.findById(item.categoryId);
+    if (!category) {
+      return sendError(
+        res,
+        409,
+        "The item's category is deleted. Restore the category instead."
+      );
+    }
+
+    const business = await Business.findById(item.businessId);
+    if (!canAccessBusiness(currentUser, business, "items:write")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the business owner or an admin can restore this item."
+      );
+    }
+
+    await restoreDeletedItem(item);
+
+    const populatedItem = await Item.findById(id)
+      .populate("categoryId")
+      .populate("businessId");
+
+    emitItemEvent("itemRestored", item.businessId, populatedItem);
+
+    return sendSuccess(res, 200, "Item restored successfully", populatedItem);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,164 @@
+import crypto from "crypto";
+import Business from "../models/business.model.js";
+import Category from "../models/category.model.js";
+import Item from "../models/item.model.js";
+import { sendError, sendSuccess } from "../utils/response.js";
+import {
+  getLastScheduleChangeAt,
+  isCategoryAvailable,
+} from "../utils/businessHours.js";
+import { getOrderBotLink } from "../utils/telegramBot.js";
+import {
+  collectLocales,
+  localizeDoc,
+  pickLocale,
+  translateFields,
+} from "../utils/translations.js";
+
+const MENU_CACHE_CONTROL = "public, max-age=0, must-revalidate";
+
+// Latest updatedAt among a business's records, deleted or inactive included,
+// so removing something from the menu also moves Last-Modified forward.
+const latestUpdate = async (Model, businessId) => {
+  const latest = await Model.findOne({ businessId })
+    .setOptions({ withDeleted: true })
+    .sort({ updatedAt: -1 })
+    .select("updatedAt");
+
+  return latest?.updatedAt;
+};
+
+// Nests sub-menus under their parents. Subcategories whose parent is not in
+// `categories` (inactive or outside its time window) are left out too.
+const buildCategoryTree = (categories, items, locale) => {
+  const withItems = (category) => ({
+    ...localizeDoc(category, locale),
+    items: items
+      .filter((item) => item.categoryId.toString() === category._id.toString())
+      .map((item) => localizeDoc(item, locale)),
+  });
+
+  return categories
+    .filter((category) => !category.parentId)
+    .map((parent) => ({
+      ...withItems(parent),
+      subcategories: categories
+        .filter(
+          (category) => category.parentId?.toString() === parent._id.toString()
+        )
+        .map(withItems),
+    }));
+};
+
+// Get public menu by business slug, in the language from ?lang= or
+// Accept-Language when translated, otherwise the business default locale
+export const getPublicMenu = async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+
+    const business = await Business.findOne({
+      slug: slug.toLowerCase(),
+      status: "active",
+    }).select(
+      "name slug description location logo image timezone openingHours closures orderingPaused defaultLocale translations updatedAt"
+    );
+    if (!business) {
+      return sendError(res, 404, "Menu not found.");
+    }
+
+    const [categories, items, categoryUpdatedAt, itemUpdatedAt] =
+      await Promise.all([
+        Category.find({ businessId: business._id, status: "active" })
+          .select(
+            "name slug description translations position parentId availableHours"
+          )
+          .sort({ position: 1, createdAt: 1 }),
+        Item.find({ businessId: business._id, status: "active" })
+          .select(
+            "categoryId name description translations price image meta tags optionGroups stock"
+          )
+          .sort({ createdAt: 1 }),
+        latestUpdate(Category, business._id),
+        latestUpdate(Item, business._id),
+      ]);
+
+    const { defaultLocale } = business;
+    const availableLocales = [
+      ...new Set([
+        defaultLocale,
+        ...collectLocales([business, ...categories, ...items]),
+      ]),
+    ];
+    const locale = pickLocale(req, availableLocales, defaultLocale);
+
+    const menu = {
+      locale,
+      defaultLocale,
+      availableLocales,
+      business: {
+        _id: business._id,
+        ...translateFields(business, locale),
+        slug: business.slug,
+        location: business.location,
+        logo: business.logo,
+        image: business.image,
+        timezone: business.timezone,
+        openingHours: business.openingHours,
+        closures: business.closures,
+        orderingPaused: business.orderingPaused,
+        isOpen: business.isOpen,
+        nextOpenAt: business.nextOpenAt,
+        telegramOrderUrl: getOrderBotLink(business.slug),
+      },
+      categories: buildCategoryTree(
+        categories.filter((category) =>
+          isCategoryAvailable(category, business)
+        ),
+        items,
+        locale
+      ),
+    };
+
+    // isOpen, nextOpenAt and the listed categories change with the clock too,
+    // so the last opening or closing counts as a modification
+    const lastModified = new Date(
+      Math.max(
+        ...[
+          business.updatedAt,
+          categoryUpdatedAt,
+          itemUpdatedAt,
+          getLastScheduleChangeAt(business),
+          ...categories.map((category) =>
+            getLastScheduleChangeAt({
+              timezone: business.timezone,
+              openingHours: category.availableHours,
+            })
+          ),
+        ]
+          .filter(Boolean)
+          .map((date) => date.getTime())
+      )
+    );
+    const etag = `"${crypto
+      .createHash("sha1")
+      .update(JSON.stringify(menu))
+      .digest("base64url")}"`;
+
+    res.set({
+      ETag: etag,
+      "Last-Modified": lastModified.toUTCString(),
+      "Cache-Control": MENU_CACHE_CONTROL,
+      "Content-Language": locale,
+    });
+    res.vary("Accept-Language");
+
+    // Handles If-None-Match and If-Modified-Since against the headers above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    return sendSuccess(res, 200, "Menu fetched successfully", menu);
+  } catch (error) {
+    next(error);
+  }
+};
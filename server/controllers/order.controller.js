@@ -1,8 +1,33 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
 import Order from "../models/order.model.js";
 import Business from "../models/business.model.js";
-import Item from "../models/item.model.js";
+import OrderNotification from "../models/orderNotification.model.js";
 import { sendError, sendSuccess } from "../utils/response.js";
+import { emitOrderEvent } from "../utils/socketioFunctions.js";
+import {
+  ORDER_STATUSES,
+  canTransitionOrderStatus,
+  isFinalOrderStatus,
+} from "../utils/orderStatus.js";
+import { verifyOrderTotals } from "../utils/orderItems.js";
+import { releaseStock } from "../utils/stock.js";
+import { notifyOrderEvent } from "../utils/orderNotifications.js";
+import { placeOrder } from "../utils/orderCheckout.js";
+import { normalizePhone } from "../utils/phone.js";
+import {
+  canAccessBusiness,
+  getAccessibleBusinessIds,
+  hasPermission,
+} from "../utils/permissions.js";
+
+const hashTrackingToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Orders are kept when their business is soft-deleted, so access checks must
+// still see that business
+const findOrderBusiness = (order) =>
+  Business.findById(order.business).setOptions({ withDeleted: true });
 
 // Create Order
 export const createOrder = async (req, res, next) => {
@@ -34,10 +59,7 @@ export const createOrder = async (req, res, next) => {
     }
 
     // Ensure user owns the business
-    if (
-      business.userId.toString() !== currentUser._id.toString() &&
-      currentUser.roleId.slug !== "admin"
-    ) {
+    if (!canAccessBusiness(currentUser, business, "orders:write")) {
       return sendError(
         res,
         403,
@@ -45,55 +67,105 @@ export const createOrder = async (req, res, next) => {
       );
     }
 
-    // Prepare order items and calculate total
-    let orderItems = [];
-    let total = 0;
+    // Prices come from the menu; any client supplied price is ignored
+    const { order, error } = await placeOrder(
+      business,
+      { name, phone, address, items, note },
+      { changedBy: currentUser._id, reason: "Order created" }
+    );
+    if (error) {
+      return sendError(res, error.statusCode, error.message, error.error);
+    }
 
-    for (const item of items) {
-      if (!mongoose.Types.ObjectId.isValid(item.itemId)) {
-        return sendError(res, 400, "Invalid Item ID format.");
-      }
+    return sendSuccess(res, 201, "Order created successfully", order);
+  } catch (error) {
+    next(error);
+  }
+};
 
-      const dbItem = await Item.findById(item.itemId);
-      if (!dbItem) {
-        return sendError(res, 404, `Item not found: ${item.itemId}`);
-      }
+// Create Order from the public menu (no authentication)
+export const createPublicOrder = async (req, res, next) => {
+  try {
+    const { businessId } = req.params;
+    const { name, phone, address, items, note } = req.body;
+
+    if (
+      !name ||
+      !phone ||
+      !address ||
+      !items ||
+      !Array.isArray(items) ||
+      items.length === 0
+    ) {
+      return sendError(res, 400, "Missing required fields or empty items.");
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(businessId)) {
+      return sendError(res, 400, "Invalid Business ID format.");
+    }
 
-      const unitPrice = item.unitPrice ?? dbItem.price; // Use provided price or Item price
-      const quantity = item.quantity ?? 1;
-      const itemTotal = unitPrice * quantity;
+    const business = await Business.findById(businessId);
+    if (!business || business.status !== "active") {
+      return sendError(res, 404, "Business not found.");
+    }
 
-      orderItems.push({
-        itemId: item.itemId,
-        unitPrice,
-        quantity,
-        total: itemTotal,
-      });
+    const trackingToken = crypto.randomBytes(24).toString("hex");
 
-      total += itemTotal;
+    const { order, error } = await placeOrder(
+      business,
+      { name, phone, address, items, note },
+      {
+        reason: "Order placed by customer",
+        trackingTokenHash: hashTrackingToken(trackingToken),
+      }
+    );
+    if (error) {
+      return sendError(res, error.statusCode, error.message, error.error);
     }
 
-    // Create and save the order
-    const newOrder = new Order({
-      name,
-      phone,
-      address,
-      business: businessId,
-      items: orderItems,
-      total,
-      note: note || "",
-      status: "pending",
+    return sendSuccess(res, 201, "Order placed successfully", {
+      order,
+      trackingToken,
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Track Order by the token returned from the public checkout
+export const trackOrder = async (req, res, next) => {
+  try {
+    const { token } = req.params;
 
-    await newOrder.save();
+    if (!token) {
+      return sendError(res, 400, "Tracking token is required.");
+    }
 
-    const populatedOrder = await Order.findById(newOrder._id)
-      .populate("business", "name description")
-      .populate("items.itemId", "name price");
+    const order = await Order.findOne({
+      trackingTokenHash: hashTrackingToken(token),
+    })
+      .select("business items total note status statusHistory createdAt")
+      .populate("business", "name")
+      .populate("items.itemId", "name");
 
-    // emitOrderEvent("orderCreated", populatedOrder);
+    if (!order) {
+      return sendError(res, 404, "Order not found.");
+    }
 
-    return sendSuccess(res, 201, "Order created successfully", populatedOrder);
+    return sendSuccess(res, 200, "Order fetched successfully", {
+      _id: order._id,
+      business: order.business,
+      items: order.items,
+      total: order.total,
+      note: order.note,
+      status: order.status,
+      statusHistory: order.statusHistory.map(({ from, to, changedAt }) => ({
+        from,
+        to,
+        changedAt,
+      })),
+      createdAt: order.createdAt,
+    });
   } catch (error) {
     next(error);
   }
@@ -111,6 +183,7 @@ export const getOrders = async (req, res, next) => {
       businessId,
       userId,
     } = req.query;
+    const currentUser = req.user;
 
     const skip = (page - 1) * limit;
     const query = {};
@@ -139,12 +212,50 @@ export const getOrders = async (req, res, next) => {
       }
     }
 
+    // Without orders:read:any only orders of owned businesses, or businesses
+    // where the caller is a member, are visible
+    if (!hasPermission(currentUser, "orders:read:any")) {
+      const ownBusinessIds = await getAccessibleBusinessIds(
+        currentUser,
+        "orders:read"
+      );
+
+      if (
+        !hasPermission(currentUser, "orders:read") &&
+        ownBusinessIds.length === 0
+      ) {
+        return sendError(res, 403, "You are not allowed to view orders.");
+      }
+
+      if (businessId) {
+        if (!ownBusinessIds.includes(businessId)) {
+          return sendError(
+            res,
+            403,
+            "You are not allowed to view orders of this business."
+          );
+        }
+      } else if (query.business) {
+        query.business = {
+          $in: query.business.$in.filter((id) => ownBusinessIds.includes(id)),
+        };
+      } else {
+        query.business = { $in: ownBusinessIds };
+      }
+    }
+
     if (search) {
       query.$or = [
         { name: { $regex: new RegExp(search, "i") } },
         { phone: { $regex: new RegExp(search, "i") } },
         { address: { $regex: new RegExp(search, "i") } },
       ];
+
+      // Phones are stored in E.164, so also match local spellings
+      const searchPhone = normalizePhone(search);
+      if (searchPhone) {
+        query.$or.push({ phone: searchPhone.e164 });
+      }
     }
 
     const orders = await Order.find(query)
@@ -177,19 +288,198 @@ export const getOrder = async (req, res, next) => {
     }
 
     const order = await Order.findById(id)
-      .populate("business", "name description")
+      .populate({
+        path: "business",
+        select: "name description userId",
+        options: { withDeleted: true },
+      })
       .populate("items.itemId", "name price");
 
     if (!order) {
       return sendError(res, 404, "Order not found.");
     }
 
+    if (!canAccessBusiness(req.user, order.business, "orders:read")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the owner or an admin can view this order."
+      );
+    }
+
     return sendSuccess(res, 200, "Order fetched successfully", order);
   } catch (error) {
     next(error);
   }
 };
 
+// Get the Telegram delivery log of an Order
+export const getOrderNotifications = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid Order ID format.");
+    }
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return sendError(res, 404, "Order not found.");
+    }
+
+    const business = await findOrderBusiness(order);
+    if (!canAccessBusiness(req.user, business, "orders:read")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the owner or an admin can view this order."
+      );
+    }
+
+    const notifications = await OrderNotification.find({
+      orderId: order._id,
+    }).sort({ createdAt: 1 });
+
+    return sendSuccess(
+      res,
+      200,
+      "Order notifications fetched successfully",
+      notifications
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Recompute an order's totals from its lines, for auditing stored prices
+export const verifyOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid Order ID format.");
+    }
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return sendError(res, 404, "Order not found.");
+    }
+
+    const business = await findOrderBusiness(order);
+    if (!canAccessBusiness(req.user, business, "orders:read")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the owner or an admin can view this order."
+      );
+    }
+
+    const verification = await verifyOrderTotals(order);
+
+    return sendSuccess(res, 200, "Order totals verified successfully", {
+      orderId: order._id,
+      ...verification,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update Order Status
+export const updateOrderStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    const currentUser = req.user;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid Order ID format.");
+    }
+
+    if (!status) {
+      return sendError(res, 400, "Status is required.");
+    }
+
+    if (!ORDER_STATUSES.includes(status)) {
+      return sendError(
+        res,
+        400,
+        `Status must be one of: ${ORDER_STATUSES.join(", ")}.`
+      );
+    }
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return sendError(res, 404, "Order not found.");
+    }
+
+    // Check permission: Only the business owner or an admin can proceed
+    const business = await findOrderBusiness(order);
+    if (!canAccessBusiness(currentUser, business, "orders:write")) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the owner or an admin can update this order."
+      );
+    }
+
+    if (!canTransitionOrderStatus(order.status, status)) {
+      return sendError(
+        res,
+        409,
+        `Cannot change order status from '${order.status}' to '${status}'.`
+      );
+    }
+
+    // Only applies while the order is still in the status checked above, so
+    // concurrent updates cannot both pass the transition check
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: { status },
+        $push: {
+          statusHistory: {
+            from: order.status,
+            to: status,
+            changedBy: currentUser._id,
+            reason: reason || "",
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updatedOrder) {
+      return sendError(
+        res,
+        409,
+        "Order status was changed by another request. Reload and try again."
+      );
+    }
+
+    // Canceled orders give their stock back
+    if (status === "canceled") {
+      await releaseStock(updatedOrder.items);
+    }
+
+    const populatedOrder = await Order.findById(order._id)
+      .populate("business", "name description")
+      .populate("items.itemId", "name price")
+      .populate("statusHistory.changedBy", "name");
+
+    emitOrderEvent("orderStatusChanged", order.business, populatedOrder);
+    notifyOrderEvent("orderStatusChanged", populatedOrder);
+
+    return sendSuccess(
+      res,
+      200,
+      "Order status updated successfully",
+      populatedOrder
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Delete Order
 export const deleteOrder = async (req, res, next) => {
   try {
@@ -205,11 +495,8 @@ export const deleteOrder = async (req, res, next) => {
       return sendError(res, 404, "Order not found.");
     }
 
-    const business = await Business.findById(order.business);
-    if (
-      currentUser._id.toString() !== business.userId.toString() &&
-      currentUser.roleId.slug !== "admin"
-    ) {
+    const business = await findOrderBusiness(order);
+    if (!canAccessBusiness(currentUser, business, "orders:delete")) {
       return sendError(
         res,
         403,
@@ -217,9 +504,14 @@ export const deleteOrder = async (req, res, next) => {
       );
     }
 
-    await Order.findByIdAndDelete(id);
+    // The deleted document tells which status the order was in at removal;
+    // completed orders used their stock and canceled ones already returned it
+    const deletedOrder = await Order.findByIdAndDelete(id);
+    if (deletedOrder && !isFinalOrderStatus(deletedOrder.status)) {
+      await releaseStock(deletedOrder.items);
+    }
 
-    // emitOrderEvent("orderDeleted", id);
+    emitOrderEvent("orderDeleted", order.business, id);
 
     return sendSuccess(res, 200, "Order deleted successfully");
   } catch (error) {
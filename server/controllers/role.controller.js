@@ -2,17 +2,26 @@ import mongoose from "mongoose";
 import Role from "../models/role.model.js";
 import { sendError, sendSuccess } from "../utils/response.js";
 import { emitRoleEvent } from "../utils/socketioFunctions.js";
+import {
+  ALL_PERMISSIONS,
+  PERMISSIONS,
+  isValidPermission,
+} from "../utils/permissions.js";
+
+const validatePermissions = (permissions) =>
+  Array.isArray(permissions) &&
+  permissions.every((permission) => isValidPermission(permission));
 
 export const createRole = async (req, res, next) => {
   try {
-    const { name, description, status } = req.body;
+    const { name, description, status, permissions } = req.body;
 
     if (!name) {
       return sendError(res, 400, "Name is required to create a role");
     }
     const existingName = await Role.findOne({
       name: { $regex: new RegExp(`^${name}$`, "i") },
-    }); 
+    });
     if (existingName) {
       return sendError(res, 409, "Role name already exists");
     }
@@ -29,10 +38,15 @@ export const createRole = async (req, res, next) => {
       return sendError(res, 400, "Status must be 'active' or 'inactive'");
     }
 
+    if (permissions !== undefined && !validatePermissions(permissions)) {
+      return sendError(res, 400, "Permissions contain an unknown permission");
+    }
+
     const role = new Role({
       name,
       slug,
       description,
+      permissions: permissions || [],
       status: status || "active",
     });
 
@@ -89,6 +103,17 @@ export const getRoles = async (req, res, next) => {
   }
 };
 
+export const getPermissions = async (req, res, next) => {
+  try {
+    return sendSuccess(res, 200, "Permissions fetched successfully", [
+      ALL_PERMISSIONS,
+      ...PERMISSIONS,
+    ]);
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const getRole = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -111,7 +136,7 @@ export const getRole = async (req, res, next) => {
 export const updateRole = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, description, status } = req.body;
+    const { name, description, status, permissions } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return sendError(res, 400, "Invalid role ID format");
@@ -126,6 +151,10 @@ export const updateRole = async (req, res, next) => {
       return sendError(res, 400, "Status must be 'active' or 'inactive'");
     }
 
+    if (permissions !== undefined && !validatePermissions(permissions)) {
+      return sendError(res, 400, "Permissions contain an unknown permission");
+    }
+
     if (name && name !== role.name) {
       const existingName = await Role.findOne({
         name: { $regex: new RegExp(`^${name}$`, "i") },
@@ -139,6 +168,7 @@ export const updateRole = async (req, res, next) => {
     if (name) role.name = name;
     if (description) role.description = description;
     if (status) role.status = status;
+    if (permissions) role.permissions = permissions;
 
     await role.save();
 
@@ -1,7 +1,22 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
 import Telegram from "../models/telegram.model.js";
 import { sendSuccess, sendError } from "../utils/response.js";
 import { emitTelegramEvent } from "../utils/socketioFunctions.js";
+import { hashToken } from "../utils/token.js";
+import { parsePhoneField } from "../utils/phone.js";
+import { hasPermission } from "../utils/permissions.js";
+
+const LINK_CODE_EXPIRES_MINUTES = 15;
+
+// Owners manage their own contacts; "telegrams:write:any" manages everyone's
+const canManageTelegram = (user, telegram) =>
+  telegram.userId.toString() === user._id.toString() ||
+  hasPermission(user, "telegrams:write:any");
+
+const canReadTelegram = (user, telegram) =>
+  telegram.userId.toString() === user._id.toString() ||
+  hasPermission(user, "telegrams:read:any");
 
 export const createTelegram = async (req, res, next) => {
   try {
@@ -24,11 +39,22 @@ export const createTelegram = async (req, res, next) => {
       return sendError(res, 400, "Status must be 'active' or 'inactive'");
     }
 
+    const phone = parsePhoneField("phoneNumber", phoneNumber);
+    if (phone.error) {
+      return sendError(
+        res,
+        phone.error.statusCode,
+        phone.error.message,
+        phone.error.error
+      );
+    }
+
     const newTelegram = new Telegram({
       userId: currentUser._id,
       name,
       username,
-      phoneNumber,
+      phoneNumber: phone.e164,
+      phoneNumberDisplay: phone.display,
       status: status || "active",
     });
 
@@ -39,7 +65,7 @@ export const createTelegram = async (req, res, next) => {
       "name"
     );
 
-    emitTelegramEvent("telegramCreated", populatedTelegram);
+    emitTelegramEvent("telegramCreated", newTelegram.userId, populatedTelegram);
 
     return sendSuccess(
       res,
@@ -67,22 +93,19 @@ export const getTelegrams = async (req, res, next) => {
     const skip = (page - 1) * limit;
     const query = {};
     const currentUser = req.user;
+    const canReadAny = hasPermission(currentUser, "telegrams:read:any");
 
-    // Normal User: only see their own businesses
-    if (currentUser?.roleId?.slug !== "admin") {
+    // Without "telegrams:read:any": only see their own contacts
+    if (!canReadAny) {
       query.userId = currentUser?._id;
     }
 
-    // Admin can filter by any userId
-    if (currentUser?.roleId?.slug === "admin" && userId) {
+    // "telegrams:read:any" can filter by any userId
+    if (canReadAny && userId) {
       query.userId = userId;
     }
 
-    if (
-      currentUser?.roleId?.slug !== "admin" &&
-      userId &&
-      userId !== currentUser._id.toString()
-    ) {
+    if (!canReadAny && userId && userId !== currentUser._id.toString()) {
       return res.status(403).json({
         success: false,
         message: "You are not allowed to filter by userId.",
@@ -133,6 +156,14 @@ export const getTelegram = async (req, res, next) => {
       return sendError(res, 404, "Telegram not found");
     }
 
+    if (!canReadTelegram(req.user, telegram)) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the owner or an admin can view this Telegram."
+      );
+    }
+
     const populatedTelegram = await Telegram.findById(telegram._id).populate(
       "userId",
       "name"
@@ -168,10 +199,7 @@ export const updateTelegram = async (req, res, next) => {
     }
 
     // Check permission: Only owner or admin can proceed
-    if (
-      currentUser._id.toString() !== telegram.userId.toString() &&
-      currentUser.roleId.slug !== "admin"
-    ) {
+    if (!canManageTelegram(currentUser, telegram)) {
       return sendError(
         res,
         403,
@@ -183,7 +211,19 @@ export const updateTelegram = async (req, res, next) => {
 
     if (name) telegram.name = name;
     if (username) telegram.username = username;
-    if (phoneNumber) telegram.phoneNumber = phoneNumber;
+    if (phoneNumber) {
+      const phone = parsePhoneField("phoneNumber", phoneNumber);
+      if (phone.error) {
+        return sendError(
+          res,
+          phone.error.statusCode,
+          phone.error.message,
+          phone.error.error
+        );
+      }
+      telegram.phoneNumber = phone.e164;
+      telegram.phoneNumberDisplay = phone.display;
+    }
     if (status) telegram.status = status;
 
     const populatedTelegram = await Telegram.findById(telegram._id).populate(
@@ -193,7 +233,7 @@ export const updateTelegram = async (req, res, next) => {
 
     await telegram.save();
 
-    emitTelegramEvent("telegramUpdated", populatedTelegram);
+    emitTelegramEvent("telegramUpdated", telegram.userId, populatedTelegram);
 
     return sendSuccess(
       res,
@@ -206,6 +246,53 @@ export const updateTelegram = async (req, res, next) => {
   }
 };
 
+// Issue a one-time code that links the contact to a Telegram chat. The user
+// opens the bot with it, and the webhook stores the chat and verifies the
+// contact. A new code replaces any earlier one.
+export const createLinkCode = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid Telegram ID format");
+    }
+
+    const telegram = await Telegram.findById(id);
+    if (!telegram) {
+      return sendError(res, 404, "Telegram not found");
+    }
+
+    if (!canManageTelegram(currentUser, telegram)) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the owner or an admin can link this Telegram."
+      );
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    const expiresAt = new Date(
+      Date.now() + LINK_CODE_EXPIRES_MINUTES * 60 * 1000
+    );
+
+    telegram.linkCodeHash = hashToken(code);
+    telegram.linkCodeExpiresAt = expiresAt;
+    await telegram.save();
+
+    const botUsername = process.env.TELEGRAM_BOT_USERNAME;
+
+    return sendSuccess(res, 201, "Telegram link code created successfully", {
+      code,
+      expiresAt,
+      // Deep link that opens the bot and sends /start <code>
+      link: botUsername ? `https://t.me/${botUsername}?start=${code}` : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const deleteTelegram = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -221,10 +308,7 @@ export const deleteTelegram = async (req, res, next) => {
     }
 
     // Check permission before deleting
-    if (
-      currentUser._id.toString() !== telegram.userId.toString() &&
-      currentUser.roleId.slug !== "admin"
-    ) {
+    if (!canManageTelegram(currentUser, telegram)) {
       return sendError(
         res,
         403,
@@ -234,7 +318,7 @@ export const deleteTelegram = async (req, res, next) => {
 
     await Telegram.findByIdAndDelete(id);
 
-    emitTelegramEvent("telegramDeleted", id);
+    emitTelegramEvent("telegramDeleted", telegram.userId, id);
 
     return sendSuccess(res, 200, "Telegram deleted successfully");
   } catch (error) {
@@ -0,0 +1,99 @@
+import Telegram from "../models/telegram.model.js";
+import { sendSuccess } from "../utils/response.js";
+import { emitTelegramEvent } from "../utils/socketioFunctions.js";
+import { hashToken } from "../utils/token.js";
+import {
+  ORDER_START_PREFIX,
+  isTelegramBotConfigured,
+  sendTelegramMessage,
+} from "../utils/telegramBot.js";
+import {
+  handleOrderCallback,
+  handleOrderMessage,
+  startOrderConversation,
+} from "../utils/telegramOrderBot.js";
+
+// "/start <code>", also in the "/start@BotName <code>" form used in groups
+const START_COMMAND = /^\/start(?:@\w+)?(?:\s+(\S+))?/;
+
+// Replies are best effort; a failed reply must not fail the update
+const reply = async (chatId, text) => {
+  if (!isTelegramBotConfigured()) return;
+
+  try {
+    await sendTelegramMessage(chatId, text);
+  } catch (error) {
+    console.error(`Failed to reply to Telegram chat ${chatId}`, error);
+  }
+};
+
+// Stores the chat on the contact whose link code was sent and verifies it
+const linkChat = async (message, code) => {
+  const chatId = String(message.chat.id);
+  const telegram = await Telegram.findOneAndUpdate(
+    { linkCodeHash: hashToken(code), linkCodeExpiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        chatId,
+        verified: true,
+        verifiedAt: new Date(),
+        linkCodeExpiresAt: null,
+      },
+      $unset: { linkCodeHash: "" },
+    },
+    { new: true }
+  );
+
+  if (!telegram) {
+    await reply(
+      chatId,
+      "This link is invalid or has expired. Please create a new one in VD Menu."
+    );
+    return;
+  }
+
+  emitTelegramEvent("telegramUpdated", telegram.userId, telegram);
+
+  await reply(
+    chatId,
+    "This chat is now linked to VD Menu. Order notifications will be sent here."
+  );
+};
+
+const handleMessage = async (message) => {
+  const start = message.text?.match(START_COMMAND)?.[1];
+
+  if (start?.startsWith(ORDER_START_PREFIX)) {
+    return startOrderConversation(
+      message,
+      start.slice(ORDER_START_PREFIX.length)
+    );
+  }
+  if (start) {
+    return linkChat(message, start);
+  }
+
+  return handleOrderMessage(message);
+};
+
+// Receives Bot API updates. Telegram redelivers an update until it gets a
+// 2xx response, which would repeat button presses, so updates that fail or
+// are ignored are acknowledged as well.
+export const handleTelegramWebhook = async (req, res) => {
+  const { message, callback_query: callbackQuery } = req.body || {};
+
+  try {
+    if (callbackQuery) {
+      await handleOrderCallback(callbackQuery);
+    } else if (message) {
+      await handleMessage(message);
+    }
+  } catch (error) {
+    console.error(
+      `Failed to handle Telegram update ${req.body?.update_id}`,
+      error
+    );
+  }
+
+  return sendSuccess(res, 200, "Telegram update processed");
+};
@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+import Business from "../models/business.model.js";
+import Category from "../models/category.model.js";
+import Item from "../models/item.model.js";
+import { sendError, sendSuccess } from "../utils/response.js";
+import { canAccessBusiness } from "../utils/permissions.js";
+import { normalizeLocale, TRANSLATABLE_FIELDS } from "../utils/translations.js";
+import {
+  emitBusinessEvent,
+  emitCategoryEvent,
+  emitItemEvent,
+} from "../utils/socketioFunctions.js";
+
+// Translatable resources. The handlers below take one of these keys, e.g.
+// upsertTranslation("item"), and are mounted by the resource's router.
+const TRANSLATABLE_RESOURCES = {
+  business: {
+    Model: Business,
+    label: "Business",
+    permission: "businesses:write",
+    getBusiness: (business) => business,
+    emitUpdated: (business, data) =>
+      emitBusinessEvent("businessUpdated", business, data),
+  },
+  category: {
+    Model: Category,
+    label: "Category",
+    permission: "categories:write",
+    getBusiness: (category) => Business.findById(category.businessId),
+    emitUpdated: (category, data) =>
+      emitCategoryEvent("categoryUpdated", category.businessId, data),
+  },
+  item: {
+    Model: Item,
+    label: "Item",
+    permission: "items:write",
+    getBusiness: (item) => Business.findById(item.businessId),
+    emitUpdated: (item, data) =>
+      emitItemEvent("itemUpdated", item.businessId, data),
+  },
+};
+
+// Loads the document and its business and checks the caller may edit it;
+// returns { document, business } or an error descriptor.
+const loadTranslatable = async (resource, id, user) => {
+  const { Model, label, permission, getBusiness } = resource;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { statusCode: 400, message: `Invalid ${label} ID format` };
+  }
+
+  const document = await Model.findById(id);
+  if (!document) {
+    return { statusCode: 404, message: `${label} not found` };
+  }
+
+  const business = await getBusiness(document);
+  if (!canAccessBusiness(user, business, permission)) {
+    return {
+      statusCode: 403,
+      message: `Permission denied: You are not allowed to translate this ${label.toLowerCase()}.`,
+    };
+  }
+
+  return { document, business };
+};
+
+export const getTranslations = (resourceName) => async (req, res, next) => {
+  try {
+    const resource = TRANSLATABLE_RESOURCES[resourceName];
+    const result = await loadTranslatable(resource, req.params.id, req.user);
+    if (result.statusCode) {
+      return sendError(res, result.statusCode, result.message);
+    }
+
+    return sendSuccess(res, 200, "Translations fetched successfully", {
+      defaultLocale: result.business.defaultLocale,
+      translations: result.document.translations,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replaces the translation for one locale
+export const upsertTranslation = (resourceName) => async (req, res, next) => {
+  try {
+    const resource = TRANSLATABLE_RESOURCES[resourceName];
+    const locale = normalizeLocale(req.params.locale);
+
+    if (!locale) {
+      return sendError(res, 400, "Locale must be a language code");
+    }
+
+    const translation = {};
+    for (const field of TRANSLATABLE_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== "string") {
+        return sendError(res, 400, `Translated ${field} must be a string`);
+      }
+      if (value.trim()) translation[field] = value;
+    }
+    if (!Object.keys(translation).length) {
+      return sendError(
+        res,
+        400,
+        "A translated name or description is required"
+      );
+    }
+
+    const result = await loadTranslatable(resource, req.params.id, req.user);
+    if (result.statusCode) {
+      return sendError(res, result.statusCode, result.message);
+    }
+
+    if (locale === result.business.defaultLocale) {
+      return sendError(
+        res,
+        400,
+        "Edit the name and description directly for the default locale"
+      );
+    }
+
+    const updatedDocument = await resource.Model.findByIdAndUpdate(
+      result.document._id,
+      { $set: { [`translations.${locale}`]: translation } },
+      { new: true, runValidators: true }
+    );
+
+    resource.emitUpdated(updatedDocument, updatedDocument);
+
+    return sendSuccess(
+      res,
+      200,
+      "Translation saved successfully",
+      updatedDocument
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteTranslation = (resourceName) => async (req, res, next) => {
+  try {
+    const resource = TRANSLATABLE_RESOURCES[resourceName];
+    const locale = normalizeLocale(req.params.locale);
+
+    if (!locale) {
+      return sendError(res, 400, "Locale must be a language code");
+    }
+
+    const result = await loadTranslatable(resource, req.params.id, req.user);
+    if (result.statusCode) {
+      return sendError(res, result.statusCode, result.message);
+    }
+
+    if (!result.document.translations.has(locale)) {
+      return sendError(res, 404, "Translation not found");
+    }
+
+    const updatedDocument = await resource.Model.findByIdAndUpdate(
+      result.document._id,
+      { $unset: { [`translations.${locale}`]: "" } },
+      { new: true }
+    );
+
+    resource.emitUpdated(updatedDocument, updatedDocument);
+
+    return sendSuccess(
+      res,
+      200,
+      "Translation deleted successfully",
+      updatedDocument
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import Upload from "../models/upload.model.js";
+import { sendError, sendSuccess } from "../utils/response.js";
+import { hasPermission } from "../utils/permissions.js";
+import {
+  IMAGE_FOLDERS,
+  deleteUpload,
+  isUploadInUse,
+  storeImage,
+} from "../utils/images.js";
+
+export const uploadImage = async (req, res, next) => {
+  try {
+    const { folder = "items" } = req.body;
+    const currentUser = req.user;
+
+    if (!req.file) {
+      return sendError(res, 400, "Image file is required.");
+    }
+
+    if (!IMAGE_FOLDERS.includes(folder)) {
+      return sendError(
+        res,
+        400,
+        `Folder must be one of: ${IMAGE_FOLDERS.join(", ")}.`
+      );
+    }
+
+    const { upload, error } = await storeImage(
+      req.file,
+      folder,
+      currentUser._id
+    );
+    if (error) {
+      return sendError(res, error.statusCode, error.message);
+    }
+
+    return sendSuccess(res, 201, "Image uploaded successfully", upload);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deletes an upload right away instead of waiting for the orphan cleanup
+export const deleteImage = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid Upload ID format");
+    }
+
+    const upload = await Upload.findById(id);
+    if (!upload) {
+      return sendError(res, 404, "Upload not found");
+    }
+
+    if (
+      upload.userId.toString() !== currentUser._id.toString() &&
+      !hasPermission(currentUser, "uploads:delete:any")
+    ) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: Only the uploader or an admin can delete this image."
+      );
+    }
+
+    if (await isUploadInUse(upload)) {
+      return sendError(res, 409, "Image is still used by a business or item.");
+    }
+
+    await deleteUpload(upload);
+
+    return sendSuccess(res, 200, "Image deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -4,6 +4,12 @@ import User from "../models/user.model.js";
 import { sendError, sendSuccess } from "../utils/response.js";
 import { emitUserEvent } from "../utils/socketioFunctions.js";
 import Role from "../models/role.model.js";
+import { hasPermission } from "../utils/permissions.js";
+import {
+  accountThrottleKey,
+  clearFailedLogins,
+  getLoginThrottle,
+} from "../utils/loginThrottle.js";
 
 export const getUsers = async (req, res, next) => {
   try {
@@ -95,10 +101,8 @@ export const updateUser = async (req, res, next) => {
     console.log("id", id);
 
     //Check permission: Only owner or admin can proceed
-    if (
-      currentUser._id.toString() !== id.toString() &&
-      currentUser.roleId.slug !== "admin"
-    ) {
+    const canManageUsers = hasPermission(currentUser, "users:manage");
+    if (currentUser._id.toString() !== id.toString() && !canManageUsers) {
       return sendError(
         res,
         403,
@@ -132,6 +136,14 @@ export const updateUser = async (req, res, next) => {
     }
 
     if (roleId && roleId !== user.roleId.toString()) {
+      if (!canManageUsers) {
+        return sendError(
+          res,
+          403,
+          "Permission denied: Only an admin can change a user's role."
+        );
+      }
+
       if (!mongoose.Types.ObjectId.isValid(roleId)) {
         return sendError(res, 400, "Invalid role ID format.");
       }
@@ -153,7 +165,7 @@ export const updateUser = async (req, res, next) => {
 
     const { password: pass, ...rest } = populatedUser._doc;
 
-    emitUserEvent("userUpdated", rest);
+    emitUserEvent("userUpdated", user._id, rest);
 
     return sendSuccess(res, 200, "User updated successfully", rest);
   } catch (error) {
@@ -175,10 +187,62 @@ export const deleteUser = async (req, res, next) => {
       return sendError(res, 404, "User not found");
     }
 
-    emitUserEvent("userDeleted", id);
+    emitUserEvent("userDeleted", id, id);
 
     return sendSuccess(res, 200, "User deleted successfully.");
   } catch (error) {
     next(error);
   }
 };
+
+export const getUserLockout = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid user ID format");
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return sendError(res, 404, "User not found");
+    }
+
+    const throttle = await getLoginThrottle(accountThrottleKey(user));
+    const lockedUntil =
+      throttle?.lockedUntil && throttle.lockedUntil > new Date()
+        ? throttle.lockedUntil
+        : null;
+
+    return sendSuccess(res, 200, "User lockout fetched successfully", {
+      userId: user._id,
+      locked: !!lockedUntil,
+      lockedUntil,
+      failedCount: throttle?.failedCount || 0,
+      lastFailedAt: throttle?.lastFailedAt || null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const clearUserLockout = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid user ID format");
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return sendError(res, 404, "User not found");
+    }
+
+    await clearFailedLogins(accountThrottleKey(user));
+
+    return sendSuccess(res, 200, "User lockout cleared successfully");
+  } catch (error) {
+    next(error);
+  }
+};
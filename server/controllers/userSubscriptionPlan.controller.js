@@ -3,6 +3,8 @@ import User from "../models/user.model.js";
 import SubscriptionPlan from "../models/subscriptionPlan.model.js";
 import UserSubscriptionPlan from "../models/userSubscriptionPlan.model.js";
 import { sendError, sendSuccess } from "../utils/response.js";
+import { getUsageSummary } from "../utils/quota.js";
+import { hasPermission } from "../utils/permissions.js";
 
 /**
  * @swagger
@@ -10,8 +12,10 @@ import { sendError, sendSuccess } from "../utils/response.js";
  *   post:
  *     tags:
  *       - User Subscription Plans
+ *     security:
+ *       - bearerAuth: []
  *     summary: Create a new user subscription plan
- *     description: Allows a user to subscribe to a plan, automatically calculating the end date based on the plan's duration.
+ *     description: Subscribes a user to a plan, automatically calculating the end date based on the plan's duration. Requires permission subscription-plans:manage.
  *     requestBody:
  *       required: true
  *       content:
@@ -240,8 +244,10 @@ export const createUserSubscriptionPlan = async (req, res, next) => {
  *   get:
  *     tags:
  *       - User Subscription Plans
+ *     security:
+ *       - bearerAuth: []
  *     summary: Retrieve all user subscription plans with pagination and sorting
- *     description: Fetch a list of User Subscription Plans with pagination, sorting, and optional filtering by user or plan.
+ *     description: Fetch a list of User Subscription Plans with pagination, sorting, and optional filtering by user or plan. Without permission subscription-plans:manage only the caller's own subscriptions are listed.
  *     parameters:
  *       - name: page
  *         in: query
@@ -366,8 +372,17 @@ export const getUserSubscriptionPlans = async (req, res, next) => {
     const limitNumber = parseInt(limit, 10) || 10;
     const skip = (pageNumber - 1) * limitNumber;
 
+    const currentUser = req.user;
+    const canManage = hasPermission(currentUser, "subscription-plans:manage");
+
+    if (!canManage && userId && userId !== currentUser._id.toString()) {
+      return sendError(res, 403, "You are not allowed to filter by userId.");
+    }
+
+    // Without "subscription-plans:manage": only their own subscriptions
     const query = {};
     if (userId) query.userId = userId;
+    if (!canManage) query.userId = currentUser._id;
     if (planId) query.subscriptionPlanId = planId;
 
     const [userSubscriptionPlans, total] = await Promise.all([
@@ -401,9 +416,11 @@ export const getUserSubscriptionPlans = async (req, res, next) => {
  * /api/v1/user-subscription-plans/{id}:
  *   get:
  *     summary: Get user subscription plan
- *     description: Fetches a user's subscription plan by ID.
+ *     description: Fetches a user's subscription plan by ID. Without permission subscription-plans:manage only the caller's own subscriptions can be fetched.
  *     tags:
  *       - User Subscription Plans
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -471,6 +488,17 @@ export const getUserSubscriptionPlan = async (req, res, next) => {
       return sendError(res, 404, "User subscription plan not found");
     }
 
+    if (
+      userSubscriptionPlan.userId?._id.toString() !== req.user._id.toString() &&
+      !hasPermission(req.user, "subscription-plans:manage")
+    ) {
+      return sendError(
+        res,
+        403,
+        "Permission denied: You can only view your own subscription plans."
+      );
+    }
+
     return sendSuccess(
       res,
       200,
@@ -487,9 +515,11 @@ export const getUserSubscriptionPlan = async (req, res, next) => {
  * /api/v1/user-subscription-plans/{id}:
  *   patch:
  *     summary: Update User Subscription Plan
- *     description: Update a user's subscription plan details.
+ *     description: Update a user's subscription plan details. Requires permission subscription-plans:manage.
  *     tags:
  *       - User Subscription Plans
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -597,9 +627,11 @@ export const updateUserSubscriptionPlan = async (req, res, next) => {
  * /api/v1/user-subscription-plans/{id}:
  *   delete:
  *     summary: Delete User Subscription Plan
- *     description: Deletes a user's subscription plan by ID.
+ *     description: Deletes a user's subscription plan by ID. Requires permission subscription-plans:manage.
  *     tags:
  *       - User Subscription Plans
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -651,3 +683,20 @@ export const deleteUserSubscriptionPlan = async (req, res, next) => {
     next(error);
   }
 };
+
+export const getMyUsage = async (req, res, next) => {
+  try {
+    const currentUser = req.user;
+
+    const summary = await getUsageSummary(currentUser._id);
+
+    return sendSuccess(
+      res,
+      200,
+      "Subscription plan usage fetched successfully",
+      summary
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -9,6 +9,12 @@ import { fileURLToPath } from "url";
 import { createServer } from "http";
 import { Server } from "socket.io";
 import { sendError, sendSuccess } from "./utils/response.js";
+import { socketAuth } from "./utils/verify.js";
+import { joinSocketRooms } from "./utils/socketRooms.js";
+import { seedDefaultRoles } from "./utils/seedRoles.js";
+import { schedulePurgeJob } from "./utils/softDeleteCascade.js";
+import { assertMailTransportConfigured } from "./utils/mailer.js";
+import { failStaleNotifications } from "./utils/orderNotifications.js";
 
 import swaggerRouter from "./utils/swagger.js";
 import roleRouter from "./routes/role.route.js";
@@ -23,8 +29,13 @@ import businessRouter from "./routes/business.route.js";
 import orderRouter from "./routes/order.route.js";
 import orderItemRouter from "./routes/orderItem.route.js";
 import dashboardRouter from "./routes/dashboard.route.js";
+import publicRouter from "./routes/public.route.js";
+import adminRouter from "./routes/admin.route.js";
+import uploadRouter from "./routes/upload.route.js";
+import { getUploadDir } from "./utils/storage.js";
 
 dotenv.config();
+assertMailTransportConfigured();
 const app = express();
 const port = process.env.PORT || 5000;
 const mongo = process.env.MONGO;
@@ -48,6 +59,11 @@ mongoose
   .connect(mongo)
   .then(() => {
     console.log("Connected to Mongo DB!");
+    schedulePurgeJob();
+    failStaleNotifications().catch((err) => {
+      console.log(err);
+    });
+    return seedDefaultRoles();
   })
   .catch((err) => {
     console.log(err);
@@ -77,21 +93,28 @@ app.use("/api/v1/items", itemRouter);
 app.use("/api/v1/orders", orderRouter);
 app.use("/api/v1/order-items", orderItemRouter);
 app.use("/api/v1/dashboard", dashboardRouter);
+app.use("/api/v1/public", publicRouter);
+app.use("/api/v1/admin", adminRouter);
+app.use("/api/v1/uploads", uploadRouter);
+
+// Files stored by the local storage driver
+app.use("/uploads", express.static(getUploadDir()));
 
 app.get("/socket-io", (req, res) => {
   sendSuccess(res, 200, "Socket.IO Server is running");
 });
 
+io.use(socketAuth);
+
 io.on("connection", (socket) => {
   console.log("socket connected");
 
-  socket.on("disconnect", () => {
-    console.log("socket disconnected");
+  joinSocketRooms(socket).catch((err) => {
+    console.log(err);
   });
 
-  socket.on("message", (msg) => {
-    console.log("message: " + msg);
-    io.emit("message", msg);
+  socket.on("disconnect", () => {
+    console.log("socket disconnected");
   });
 });
 
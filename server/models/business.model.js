@@ -1,4 +1,66 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import {
+  DEFAULT_TIMEZONE,
+  getNextOpenAt,
+  isBusinessOpen,
+} from "../utils/businessHours.js";
+import { DEFAULT_PHONE_REGION } from "../utils/phone.js";
+import { DEFAULT_LOCALE } from "../utils/translations.js";
+
+// Times are "HH:mm" in the business timezone; close before open means the
+// range ends after midnight. Also used for category availability windows.
+export const openingHourSchema = new mongoose.Schema(
+  {
+    day: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true,
+    },
+    open: {
+      type: String,
+      required: true,
+    },
+    close: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Name and description in another locale, keyed by locale in `translations`.
+// Also used by categories and items.
+export const translationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Inclusive local dates in "YYYY-MM-DD" format
+const closureSchema = new mongoose.Schema({
+  startDate: {
+    type: String,
+    required: true,
+  },
+  endDate: {
+    type: String,
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+});
 
 const businessSchema = new mongoose.Schema(
   {
@@ -17,6 +79,14 @@ const businessSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Public menu URL: /api/v1/public/menus/:slug
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      lowercase: true,
+    },
     description: {
       type: String,
       required: true,
@@ -35,17 +105,71 @@ const businessSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // ISO 3166 region of customer phone numbers dialled without a country
+    // code
+    phoneRegion: {
+      type: String,
+      default: DEFAULT_PHONE_REGION,
+      uppercase: true,
+      trim: true,
+    },
+    // Locale of name and description, and the menu fallback language
+    defaultLocale: {
+      type: String,
+      default: DEFAULT_LOCALE,
+      trim: true,
+      lowercase: true,
+    },
+    translations: {
+      type: Map,
+      of: translationSchema,
+      default: {},
+    },
     status: {
       type: String,
       enum: ["active", "inactive", "pending"],
       default: "active",
     },
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+    },
+    // An empty schedule means the business is open all day, every day
+    openingHours: {
+      type: [openingHourSchema],
+      default: [],
+    },
+    closures: {
+      type: [closureSchema],
+      default: [],
+    },
+    orderingPaused: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
+// Left out when the schedule was not selected, e.g. in populated references
+const scheduleSelected = (business) =>
+  business.isSelected("openingHours") && business.isSelected("closures");
+
+businessSchema.virtual("isOpen").get(function () {
+  return scheduleSelected(this) ? isBusinessOpen(this) : undefined;
+});
+
+businessSchema.virtual("nextOpenAt").get(function () {
+  return scheduleSelected(this) ? getNextOpenAt(this) : undefined;
+});
+
+businessSchema.plugin(softDeletePlugin);
+
 const Business = mongoose.model("Business", businessSchema);
 
 export default Business;
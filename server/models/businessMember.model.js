@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+const businessMemberSchema = new mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    // Set once the invitation is accepted
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    role: {
+      type: String,
+      enum: ["manager", "cashier", "kitchen"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "active"],
+      default: "pending",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    inviteTokenHash: {
+      type: String,
+      select: false,
+    },
+    inviteExpiresAt: {
+      type: Date,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+businessMemberSchema.index({ businessId: 1, email: 1 }, { unique: true });
+businessMemberSchema.index({ userId: 1, status: 1 });
+
+const BusinessMember = mongoose.model("BusinessMember", businessMemberSchema);
+
+export default BusinessMember;
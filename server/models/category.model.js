@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { openingHourSchema, translationSchema } from "./business.model.js";
 
 const categorySchema = new mongoose.Schema(
   {
@@ -12,9 +14,9 @@ const categorySchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Unique per business, see the compound index below
     slug: {
       type: String,
-      unique: true,
       required: true,
       trim: true,
     },
@@ -23,15 +25,40 @@ const categorySchema = new mongoose.Schema(
       required: false,
       trim: true,
     },
+    translations: {
+      type: Map,
+      of: translationSchema,
+      default: {},
+    },
     status: {
       type: String,
       enum: ["active", "inactive"],
       default: "active",
     },
+    // Display order within the business menu, lowest first
+    position: {
+      type: Number,
+      default: 0,
+    },
+    // Set on sub-menus, e.g. Hot Drinks under Drinks. Only one level deep.
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Time windows in the business timezone; empty means always available
+    availableHours: {
+      type: [openingHourSchema],
+      default: [],
+    },
   },
   { timestamps: true }
 );
 
+categorySchema.index({ businessId: 1, slug: 1 }, { unique: true });
+
+categorySchema.plugin(softDeletePlugin);
+
 const Category = mongoose.model("Category", categorySchema);
 
 export default Category;
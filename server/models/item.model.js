@@ -1,4 +1,59 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { OPTION_GROUP_TYPES } from "../utils/itemOptions.js";
+import { translationSchema } from "./business.model.js";
+
+const optionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Added to the item price when the option is chosen; may be negative
+    priceDelta: {
+      type: Number,
+      default: 0,
+    },
+    // Per-variant stock; null means not tracked
+    stock: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active",
+    },
+  },
+  { id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+// e.g. Size (single, required) or Toppings (multiple, maxSelect 3)
+const optionGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: OPTION_GROUP_TYPES,
+    default: "single",
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  // Only used by multiple choice groups; null means no limit
+  maxSelect: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  options: [optionSchema],
+});
 
 const itemSchema = new mongoose.Schema(
   {
@@ -21,6 +76,11 @@ const itemSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    translations: {
+      type: Map,
+      of: translationSchema,
+      default: {},
+    },
     price: {
       type: Number,
       required: true,
@@ -34,6 +94,21 @@ const itemSchema = new mongoose.Schema(
     meta: {
       type: mongoose.Schema.Types.Mixed,
     },
+    optionGroups: {
+      type: [optionGroupSchema],
+      default: [],
+    },
+    // null means stock is not tracked
+    stock: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    lowStockThreshold: {
+      type: Number,
+      min: 0,
+      default: 5,
+    },
     tags: {
       type: [String],
       default: [],
@@ -44,9 +119,26 @@ const itemSchema = new mongoose.Schema(
       default: "active",
     },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
 );
 
+const isSoldOut = (stock) => stock != null && stock <= 0;
+
+optionSchema.virtual("soldOut").get(function () {
+  return isSoldOut(this.stock);
+});
+
+itemSchema.virtual("soldOut").get(function () {
+  return this.isSelected("stock") ? isSoldOut(this.stock) : undefined;
+});
+
+itemSchema.plugin(softDeletePlugin);
+
 const Item = mongoose.model("Item", itemSchema);
 
 export default Item;
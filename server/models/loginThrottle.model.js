@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    // "user:<userId>", "identifier:<usernameOrEmail>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
+
+export default LoginThrottle;
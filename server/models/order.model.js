@@ -1,11 +1,54 @@
 import mongoose from "mongoose";
+import { ORDER_STATUSES } from "../utils/orderStatus.js";
 
+// Snapshot of a chosen item option at the time of ordering
+const orderItemOptionSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    groupName: {
+      type: String,
+      required: true,
+    },
+    optionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    priceDelta: {
+      type: Number,
+      default: 0,
+    },
+    // Whether ordering took stock for this option, so only that is given back
+    stockReserved: {
+      type: Boolean,
+    },
+  },
+  { _id: false }
+);
+
+// Name and prices are copied from the item when ordering, so later menu
+// changes do not alter the order. Lines from before the copy have no name or
+// price.
 const orderItemSchema = new mongoose.Schema({
   itemId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Item",
     required: true,
   },
+  name: {
+    type: String,
+  },
+  // Item price without options
+  price: {
+    type: Number,
+  },
+  // price plus the priceDelta of the chosen options
   unitPrice: {
     type: Number,
     required: true,
@@ -14,12 +57,49 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  options: {
+    type: [orderItemOptionSchema],
+    default: [],
+  },
   total: {
     type: Number,
     required: true,
   },
+  // Whether ordering took stock for this item; unset on lines from before it
+  // was recorded
+  stockReserved: {
+    type: Boolean,
+  },
 });
 
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: ORDER_STATUSES,
+    },
+    to: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
     name: {
@@ -27,11 +107,17 @@ const orderSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // E.164, e.g. +85512345678
     phone: {
       type: String,
       required: true,
       trim: true,
     },
+    // Formatted for the business region, e.g. 012 345 678
+    phoneDisplay: {
+      type: String,
+      trim: true,
+    },
     address: {
       type: String,
       required: true,
@@ -54,9 +140,17 @@ const orderSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "processing", "shipped", "completed", "canceled"],
+      enum: ORDER_STATUSES,
       default: "pending",
     },
+    statusHistory: [statusHistorySchema],
+    // SHA-256 of the tracking token given to public checkout customers
+    trackingTokenHash: {
+      type: String,
+      unique: true,
+      sparse: true,
+      select: false,
+    },
   },
   { timestamps: true }
 );
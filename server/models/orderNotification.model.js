@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+// Delivery log of the Telegram messages sent to a business about an order
+const orderNotificationSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    telegramId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Telegram",
+      default: null,
+    },
+    chatId: {
+      type: String,
+      default: null,
+    },
+    event: {
+      type: String,
+      enum: ["orderCreated", "orderStatusChanged"],
+      required: true,
+    },
+    // skipped: no linked chat or no bot token, nothing was sent
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed", "skipped"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Last failure, kept when a later attempt succeeds
+    error: {
+      type: String,
+      default: null,
+    },
+    messageId: {
+      type: Number,
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const OrderNotification = mongoose.model(
+  "OrderNotification",
+  orderNotificationSchema
+);
+
+export default OrderNotification;
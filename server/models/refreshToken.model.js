@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Shared by every token rotated from the same sign-in
+    sessionId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    replacedByHash: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB remove tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
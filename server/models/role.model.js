@@ -20,6 +20,10 @@ const roleSchema = new mongoose.Schema(
       required: false,
       trim: true,
     },
+    permissions: {
+      type: [String],
+      default: [],
+    },
     status: {
       type: String,
       enum: ["active", "inactive"],
@@ -15,11 +15,42 @@ const TelegramSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // E.164, e.g. +85512345678
     phoneNumber: {
       type: String,
       required: true,
       trim: true,
     },
+    phoneNumberDisplay: {
+      type: String,
+      trim: true,
+    },
+    // Bot API chat that order notifications are sent to. Set by the bot
+    // webhook when the user opens the link from POST /telegrams/:id/link.
+    chatId: {
+      type: String,
+      default: null,
+    },
+    // Only verified contacts can be attached to a business
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // SHA-256 of the one-time link code
+    linkCodeHash: {
+      type: String,
+      unique: true,
+      sparse: true,
+      select: false,
+    },
+    linkCodeExpiresAt: {
+      type: Date,
+      default: null,
+    },
     status: {
       type: String,
       enum: ["active", "inactive"],
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+const IDLE_EXPIRES_DAYS = 7;
+
+// Steps of the Telegram ordering conversation: browsing the menu, then
+// collecting the customer's details one message at a time, then confirming.
+export const CONVERSATION_STEPS = [
+  "browsing",
+  "name",
+  "phone",
+  "address",
+  "confirm",
+];
+
+// Same shape as the `items` of an order request
+const cartLineSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+  },
+  optionIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
+  },
+  quantity: {
+    type: Number,
+    min: 1,
+    default: 1,
+  },
+});
+
+const telegramConversationSchema = new mongoose.Schema(
+  {
+    chatId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    // Menu language, from the customer's Telegram language when translated
+    locale: {
+      type: String,
+      default: null,
+    },
+    step: {
+      type: String,
+      enum: CONVERSATION_STEPS,
+      default: "browsing",
+    },
+    cart: {
+      type: [cartLineSchema],
+      default: [],
+    },
+    // Item whose options are being chosen before it goes into the cart
+    selection: {
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Item",
+        default: null,
+      },
+      optionIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: [],
+      },
+    },
+    // Kept after an order so the next checkout can reuse it
+    customer: {
+      name: { type: String, trim: true },
+      phone: { type: String, trim: true },
+      address: { type: String, trim: true },
+    },
+    expiresAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// Every save pushes the expiry forward, so only idle conversations expire
+telegramConversationSchema.pre("validate", function () {
+  this.expiresAt = new Date(
+    Date.now() + IDLE_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+  );
+});
+
+// Let MongoDB remove conversations once they expire
+telegramConversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TelegramConversation = mongoose.model(
+  "TelegramConversation",
+  telegramConversationSchema
+);
+
+export default TelegramConversation;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// An uploaded image and its thumbnails. Files no business or item refers to
+// are removed by cleanupOrphanedUploads.
+const uploadSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    folder: {
+      type: String,
+      enum: ["logos", "businesses", "items"],
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    thumbnails: {
+      small: String,
+      medium: String,
+      large: String,
+    },
+    // Storage keys of the original and every thumbnail
+    keys: {
+      type: [String],
+      default: [],
+    },
+    contentType: {
+      type: String,
+    },
+    size: {
+      type: Number,
+    },
+    width: {
+      type: Number,
+    },
+    height: {
+      type: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+const Upload = mongoose.model("Upload", uploadSchema);
+
+export default Upload;
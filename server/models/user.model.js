@@ -26,6 +26,15 @@ const userSchema = new mongoose.Schema(
       required: true,
       minlength: 8,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    googleId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
     roleId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Role",
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["passwordReset", "emailVerification"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB remove tokens once they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model("UserToken", userTokenSchema);
+
+export default UserToken;
@@ -0,0 +1,14 @@
+import express from "express";
+import { purgeDeleted } from "../controllers/admin.controller.js";
+import { auth, requirePermission } from "../utils/verify.js";
+
+const adminRouter = express.Router();
+
+adminRouter.post(
+  "/purge-deleted",
+  auth,
+  requirePermission("data:purge"),
+  purgeDeleted
+);
+
+export default adminRouter;
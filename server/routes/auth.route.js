@@ -1,10 +1,29 @@
 import express from "express";
-import { google, signin, signup } from "../controllers/auth.controller.js";
+import {
+  forgotPassword,
+  google,
+  logout,
+  logoutAll,
+  refresh,
+  resendVerificationEmail,
+  resetPassword,
+  signin,
+  signup,
+  verifyEmail,
+} from "../controllers/auth.controller.js";
+import { auth } from "../utils/verify.js";
 
 const authRouter = express.Router();
 
 authRouter.post("/signup", signup);
 authRouter.post("/signin", signin);
 authRouter.post("/google", google);
+authRouter.post("/refresh", refresh);
+authRouter.post("/logout", logout);
+authRouter.post("/logout-all", auth, logoutAll);
+authRouter.post("/forgot-password", forgotPassword);
+authRouter.post("/reset-password", resetPassword);
+authRouter.post("/verify-email", verifyEmail);
+authRouter.post("/resend-verification", auth, resendVerificationEmail);
 
 export default authRouter;
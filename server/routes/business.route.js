@@ -5,15 +5,42 @@ import {
   getBusiness,
   deleteBusiness,
   getBusinesses,
+  restoreBusiness,
+  setOrderingPaused,
 } from "../controllers/business.controller.js";
-import { auth } from "../utils/verify.js";
+import {
+  deleteTranslation,
+  getTranslations,
+  upsertTranslation,
+} from "../controllers/translation.controller.js";
+import { auth, requirePermission } from "../utils/verify.js";
+import businessMemberRouter from "./businessMember.route.js";
 
 const businessRouter = express.Router();
 
-businessRouter.post("/", auth, createBusiness);
+businessRouter.post(
+  "/",
+  auth,
+  requirePermission("businesses:write", "businesses:write:any"),
+  createBusiness
+);
 businessRouter.get("/", auth, getBusinesses);
 businessRouter.get("/:id", getBusiness);
 businessRouter.patch("/:id", auth, updateBusiness);
 businessRouter.delete("/:id", auth, deleteBusiness);
+businessRouter.patch("/:id/restore", auth, restoreBusiness);
+businessRouter.patch("/:id/ordering", auth, setOrderingPaused);
+businessRouter.get("/:id/translations", auth, getTranslations("business"));
+businessRouter.put(
+  "/:id/translations/:locale",
+  auth,
+  upsertTranslation("business")
+);
+businessRouter.delete(
+  "/:id/translations/:locale",
+  auth,
+  deleteTranslation("business")
+);
+businessRouter.use("/:id/members", businessMemberRouter);
 
 export default businessRouter;
@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  acceptInvitation,
+  getMembers,
+  inviteMember,
+  removeMember,
+  updateMember,
+} from "../controllers/businessMember.controller.js";
+import { auth } from "../utils/verify.js";
+
+// Mounted under /businesses/:id/members
+const businessMemberRouter = express.Router({ mergeParams: true });
+
+businessMemberRouter.get("/", auth, getMembers);
+businessMemberRouter.post("/", auth, inviteMember);
+businessMemberRouter.post("/accept", auth, acceptInvitation);
+businessMemberRouter.patch("/:memberId", auth, updateMember);
+businessMemberRouter.delete("/:memberId", auth, removeMember);
+
+export default businessMemberRouter;
@@ -4,16 +4,36 @@ import {
   deleteCategory,
   getCategories,
   getCategory,
+  reorderCategories,
+  restoreCategory,
   updateCategory,
 } from "../controllers/category.controller.js";
+import {
+  deleteTranslation,
+  getTranslations,
+  upsertTranslation,
+} from "../controllers/translation.controller.js";
 import { auth } from "../utils/verify.js";
 
 const categoryRouter = express.Router();
 
 categoryRouter.post("/", auth, createCategory);
 categoryRouter.get("/", getCategories);
+categoryRouter.patch("/reorder", auth, reorderCategories);
 categoryRouter.get("/:id", getCategory);
 categoryRouter.patch("/:id", auth, updateCategory);
 categoryRouter.delete("/:id", auth, deleteCategory);
+categoryRouter.patch("/:id/restore", auth, restoreCategory);
+categoryRouter.get("/:id/translations", auth, getTranslations("category"));
+categoryRouter.put(
+  "/:id/translations/:locale",
+  auth,
+  upsertTranslation("category")
+);
+categoryRouter.delete(
+  "/:id/translations/:locale",
+  auth,
+  deleteTranslation("category")
+);
 
 export default categoryRouter;
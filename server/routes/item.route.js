@@ -1,13 +1,20 @@
 import express from "express";
 
-import { auth, admin } from "../utils/verify.js";
+import { auth } from "../utils/verify.js";
 import {
   createItem,
   deleteItem,
   getItem,
   getItems,
+  restockItem,
+  restoreItem,
   updateItem,
 } from "../controllers/item.controller.js";
+import {
+  deleteTranslation,
+  getTranslations,
+  upsertTranslation,
+} from "../controllers/translation.controller.js";
 
 const itemRouter = express.Router();
 
@@ -16,5 +23,10 @@ itemRouter.get("/:id", auth, getItem);
 itemRouter.post("/", auth, createItem);
 itemRouter.patch("/:id", auth, updateItem);
 itemRouter.delete("/:id", auth, deleteItem);
+itemRouter.patch("/:id/restore", auth, restoreItem);
+itemRouter.patch("/:id/stock", auth, restockItem);
+itemRouter.get("/:id/translations", auth, getTranslations("item"));
+itemRouter.put("/:id/translations/:locale", auth, upsertTranslation("item"));
+itemRouter.delete("/:id/translations/:locale", auth, deleteTranslation("item"));
 
 export default itemRouter;
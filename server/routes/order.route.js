@@ -3,6 +3,9 @@ import {
   createOrder,
   getOrders,
   getOrder,
+  getOrderNotifications,
+  verifyOrder,
+  updateOrderStatus,
   deleteOrder,
 } from "../controllers/order.controller.js";
 import { auth } from "../utils/verify.js";
@@ -15,6 +18,12 @@ orderRouter.get("/", auth, getOrders);
 
 orderRouter.get("/:id", auth, getOrder);
 
+orderRouter.get("/:id/notifications", auth, getOrderNotifications);
+
+orderRouter.get("/:id/verify", auth, verifyOrder);
+
+orderRouter.patch("/:id/status", auth, updateOrderStatus);
+
 orderRouter.delete("/:id", auth, deleteOrder);
 
 export default orderRouter;
@@ -0,0 +1,16 @@
+import express from "express";
+import {
+  createPublicOrder,
+  trackOrder,
+} from "../controllers/order.controller.js";
+import { getPublicMenu } from "../controllers/menu.controller.js";
+
+const publicRouter = express.Router();
+
+publicRouter.post("/businesses/:businessId/orders", createPublicOrder);
+
+publicRouter.get("/orders/:token", trackOrder);
+
+publicRouter.get("/menus/:slug", getPublicMenu);
+
+export default publicRouter;
@@ -2,18 +2,21 @@ import express from "express";
 import {
   createRole,
   getRoles,
+  getPermissions,
   getRole,
   updateRole,
   deleteRole,
 } from "../controllers/role.controller.js";
-import { auth, admin } from "../utils/verify.js";
+import { auth, requirePermission } from "../utils/verify.js";
 
 const roleRouter = express.Router();
+const manageRoles = requirePermission("roles:manage");
 
-roleRouter.post("/", auth, admin, createRole);
-roleRouter.get("/", auth, admin, getRoles);
-roleRouter.get("/:id", auth, admin, getRole);
-roleRouter.patch("/:id", auth, admin, updateRole);
-roleRouter.delete("/:id", auth, admin, deleteRole);
+roleRouter.post("/", auth, manageRoles, createRole);
+roleRouter.get("/", auth, manageRoles, getRoles);
+roleRouter.get("/permissions", auth, manageRoles, getPermissions);
+roleRouter.get("/:id", auth, manageRoles, getRole);
+roleRouter.patch("/:id", auth, manageRoles, updateRole);
+roleRouter.delete("/:id", auth, manageRoles, deleteRole);
 
 export default roleRouter;
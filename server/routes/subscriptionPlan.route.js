@@ -6,14 +6,20 @@ import {
   getSubscriptionPlans,
   updateSubscriptionPlan,
 } from "../controllers/subscriptionPlan.controller.js";
-import { auth, admin } from "../utils/verify.js";
+import { auth, requirePermission } from "../utils/verify.js";
 
 const subscriptionPlanRouter = express.Router();
+const managePlans = requirePermission("subscription-plans:manage");
 
-subscriptionPlanRouter.post("/", auth, admin, createSubscriptionPlan);
+subscriptionPlanRouter.post("/", auth, managePlans, createSubscriptionPlan);
 subscriptionPlanRouter.get("/", getSubscriptionPlans);
 subscriptionPlanRouter.get("/:id", getSubscriptionPlan);
-subscriptionPlanRouter.patch("/:id", auth, admin, updateSubscriptionPlan);
-subscriptionPlanRouter.delete("/:id", auth, admin, deleteSubscriptionPlan);
+subscriptionPlanRouter.patch("/:id", auth, managePlans, updateSubscriptionPlan);
+subscriptionPlanRouter.delete(
+  "/:id",
+  auth,
+  managePlans,
+  deleteSubscriptionPlan
+);
 
 export default subscriptionPlanRouter;
@@ -1,19 +1,23 @@
 import express from "express";
 import {
+  createLinkCode,
   createTelegram,
   deleteTelegram,
   getTelegram,
   getTelegrams,
   updateTelegram,
 } from "../controllers/telegram.controller.js";
-import { auth } from "../utils/verify.js";
+import { handleTelegramWebhook } from "../controllers/telegramWebhook.controller.js";
+import { auth, verifyTelegramWebhook } from "../utils/verify.js";
 
 const telegramRouter = express.Router();
 
 telegramRouter.post("/", auth, createTelegram);
+telegramRouter.post("/webhook", verifyTelegramWebhook, handleTelegramWebhook);
 telegramRouter.get("/", auth, getTelegrams);
 telegramRouter.get("/:id", auth, getTelegram);
 telegramRouter.patch("/:id", auth, updateTelegram);
 telegramRouter.delete("/:id", auth, deleteTelegram);
+telegramRouter.post("/:id/link", auth, createLinkCode);
 
 export default telegramRouter;
@@ -0,0 +1,11 @@
+import express from "express";
+import { deleteImage, uploadImage } from "../controllers/upload.controller.js";
+import { auth } from "../utils/verify.js";
+import { parseImageUpload } from "../utils/images.js";
+
+const uploadRouter = express.Router();
+
+uploadRouter.post("/images", auth, parseImageUpload, uploadImage);
+uploadRouter.delete("/images/:id", auth, deleteImage);
+
+export default uploadRouter;
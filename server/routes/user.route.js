@@ -1,17 +1,22 @@
 import express from "express";
 import {
+  clearUserLockout,
   deleteUser,
   getUser,
+  getUserLockout,
   getUsers,
   updateUser,
 } from "../controllers/user.controller.js";
-import { admin, auth } from "../utils/verify.js";
+import { auth, requirePermission } from "../utils/verify.js";
 
 const userRouter = express.Router();
+const manageUsers = requirePermission("users:manage");
 
-userRouter.get("/", auth, admin, getUsers);
-userRouter.delete("/:id", auth, admin, deleteUser);
+userRouter.get("/", auth, manageUsers, getUsers);
+userRouter.delete("/:id", auth, manageUsers, deleteUser);
 userRouter.get("/:id", auth, getUser);
 userRouter.patch("/:id", auth, updateUser);
+userRouter.get("/:id/lockout", auth, manageUsers, getUserLockout);
+userRouter.delete("/:id/lockout", auth, manageUsers, clearUserLockout);
 
 export default userRouter;
@@ -2,17 +2,36 @@ import express from "express";
 import {
   createUserSubscriptionPlan,
   deleteUserSubscriptionPlan,
+  getMyUsage,
   getUserSubscriptionPlan,
   getUserSubscriptionPlans,
   updateUserSubscriptionPlan,
 } from "../controllers/userSubscriptionPlan.controller.js";
+import { auth, requirePermission } from "../utils/verify.js";
 
 const userSubscriptionPlanRouter = express.Router();
+const managePlans = requirePermission("subscription-plans:manage");
 
-userSubscriptionPlanRouter.post("/", createUserSubscriptionPlan);
-userSubscriptionPlanRouter.get("/", getUserSubscriptionPlans);
-userSubscriptionPlanRouter.get("/:id", getUserSubscriptionPlan);
-userSubscriptionPlanRouter.patch("/:id", updateUserSubscriptionPlan);
-userSubscriptionPlanRouter.delete("/:id", deleteUserSubscriptionPlan);
+userSubscriptionPlanRouter.post(
+  "/",
+  auth,
+  managePlans,
+  createUserSubscriptionPlan
+);
+userSubscriptionPlanRouter.get("/", auth, getUserSubscriptionPlans);
+userSubscriptionPlanRouter.get("/me/usage", auth, getMyUsage);
+userSubscriptionPlanRouter.get("/:id", auth, getUserSubscriptionPlan);
+userSubscriptionPlanRouter.patch(
+  "/:id",
+  auth,
+  managePlans,
+  updateUserSubscriptionPlan
+);
+userSubscriptionPlanRouter.delete(
+  "/:id",
+  auth,
+  managePlans,
+  deleteUserSubscriptionPlan
+);
 
 export default userSubscriptionPlanRouter;
@@ -0,0 +1,34 @@
+// Deleting orders moved from "orders:write" to its own "orders:delete"
+// permission. Grants it to saved roles that could delete orders before, so
+// owners keep that ability; the ":any" variant follows "orders:write:any".
+//
+// Usage: npm run migrate:order-delete-permission
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Role from "../models/role.model.js";
+
+dotenv.config();
+
+const GRANTS = {
+  "orders:write": "orders:delete",
+  "orders:write:any": "orders:delete:any",
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO);
+
+  for (const [existing, granted] of Object.entries(GRANTS)) {
+    const { modifiedCount } = await Role.updateMany(
+      { permissions: existing },
+      { $addToSet: { permissions: granted } }
+    );
+    console.log(`Granted ${granted} to ${modifiedCount} roles.`);
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,43 @@
+// Gives businesses created before slugs existed a slug made from their name,
+// so they get a public menu. Soft-deleted businesses are included because
+// they keep their slugs.
+//
+// Usage: npm run migrate:business-slugs
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Business from "../models/business.model.js";
+import { generateUniqueSlug, randomSlug } from "../utils/slug.js";
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO);
+
+  const businesses = await Business.find({
+    $or: [{ slug: { $exists: false } }, { slug: null }, { slug: "" }],
+  })
+    .setOptions({ withDeleted: true })
+    .select("name");
+
+  // One at a time, so each slug sees the ones given before it
+  for (const business of businesses) {
+    const slug = await generateUniqueSlug(Business, business.name, {
+      excludeId: business._id,
+      fallback: randomSlug("business"),
+    });
+
+    await Business.updateOne({ _id: business._id }, { slug }).setOptions({
+      withDeleted: true,
+    });
+    console.log(`Business ${business._id}: ${slug}`);
+  }
+
+  console.log(`Business slugs migrated, ${businesses.length} updated.`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,77 @@
+// Moves Category.slug from a global unique index to one unique per business.
+// Drops the old `slug` unique index, renames slugs that clash within a
+// business (soft-deleted categories included) and builds the new index.
+//
+// Usage: npm run migrate:category-slugs
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Category from "../models/category.model.js";
+import { generateUniqueSlug } from "../utils/slug.js";
+
+dotenv.config();
+
+const dropGlobalSlugIndex = async () => {
+  const indexes = await Category.collection.indexes();
+  const globalSlugIndexes = indexes.filter(
+    (index) =>
+      index.unique &&
+      Object.keys(index.key).length === 1 &&
+      index.key.slug !== undefined
+  );
+
+  for (const index of globalSlugIndexes) {
+    await Category.collection.dropIndex(index.name);
+    console.log(`Dropped index ${index.name}`);
+  }
+};
+
+// Keeps the oldest category of each clash and suffixes the others
+const fixDuplicateSlugs = async () => {
+  const duplicates = await Category.aggregate([
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { businessId: "$businessId", slug: "$slug" },
+        ids: { $push: "$_id" },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+
+  let renamed = 0;
+  for (const { _id: group, ids } of duplicates) {
+    for (const id of ids.slice(1)) {
+      const slug = await generateUniqueSlug(Category, group.slug, {
+        scope: { businessId: group.businessId },
+        excludeId: id,
+        fallback: "category",
+      });
+
+      await Category.updateOne({ _id: id }, { slug }).setOptions({
+        withDeleted: true,
+      });
+      console.log(`Category ${id}: ${group.slug} -> ${slug}`);
+      renamed++;
+    }
+  }
+
+  return renamed;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO);
+
+  await dropGlobalSlugIndex();
+  const renamed = await fixDuplicateSlugs();
+  await Category.createIndexes();
+
+  console.log(`Category slugs migrated, ${renamed} renamed.`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,83 @@
+// Rewrites Order.phone and Telegram.phoneNumber in E.164 and fills in their
+// display formats. Order phones are read in their business's phone region,
+// Telegram phones in the default region. Numbers that cannot be parsed are
+// left as they are and listed for manual review.
+//
+// Usage: npm run migrate:phone-numbers
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Business from "../models/business.model.js";
+import Order from "../models/order.model.js";
+import Telegram from "../models/telegram.model.js";
+import { DEFAULT_PHONE_REGION, normalizePhone } from "../utils/phone.js";
+
+dotenv.config();
+
+// Updates each document whose phone changes; returns the counts
+const normalizeCollection = async (Model, field, getRegion) => {
+  const counts = { updated: 0, unchanged: 0, invalid: 0 };
+  const cursor = Model.find()
+    .setOptions({ withDeleted: true })
+    .select(`${field} ${field}Display business`)
+    .cursor();
+
+  for await (const doc of cursor) {
+    const phone = normalizePhone(doc[field], await getRegion(doc));
+    if (!phone) {
+      console.log(
+        `${Model.modelName} ${doc._id}: invalid ${field} "${doc[field]}"`
+      );
+      counts.invalid++;
+      continue;
+    }
+
+    if (doc[field] === phone.e164 && doc[`${field}Display`] === phone.display) {
+      counts.unchanged++;
+      continue;
+    }
+
+    // Keeps updatedAt, this is not a change made by a user
+    await Model.updateOne(
+      { _id: doc._id },
+      { [field]: phone.e164, [`${field}Display`]: phone.display },
+      { timestamps: false }
+    ).setOptions({ withDeleted: true });
+    counts.updated++;
+  }
+
+  return counts;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO);
+
+  const regions = new Map();
+  const getBusinessRegion = async (order) => {
+    const id = order.business.toString();
+    if (!regions.has(id)) {
+      const business = await Business.findById(id)
+        .setOptions({ withDeleted: true })
+        .select("phoneRegion");
+      regions.set(id, business?.phoneRegion || DEFAULT_PHONE_REGION);
+    }
+
+    return regions.get(id);
+  };
+
+  const orders = await normalizeCollection(Order, "phone", getBusinessRegion);
+  console.log("Orders:", orders);
+
+  const telegrams = await normalizeCollection(
+    Telegram,
+    "phoneNumber",
+    () => DEFAULT_PHONE_REGION
+  );
+  console.log("Telegrams:", telegrams);
+};
+
+migrate()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
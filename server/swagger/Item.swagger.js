@@ -1,3 +1,52 @@
+// Item option group schema
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ItemOptionGroup:
+ *       type: object
+ *       required:
+ *         - name
+ *         - options
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Toppings
+ *         type:
+ *           type: string
+ *           enum: [single, multiple]
+ *           example: multiple
+ *         required:
+ *           type: boolean
+ *           example: false
+ *         maxSelect:
+ *           type: integer
+ *           description: Most options a multiple choice group allows
+ *           example: 3
+ *         options:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Extra cheese
+ *               priceDelta:
+ *                 type: number
+ *                 example: 0.5
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Stock of this variant; null means not tracked
+ *                 example: 20
+ *               status:
+ *                 type: string
+ *                 enum: [active, inactive]
+ */
+
 // Create item
 
 /**
@@ -41,6 +90,21 @@
  *                 items:
  *                   type: string
  *                 description: Tags for the item
+ *               optionGroups:
+ *                 type: array
+ *                 description: Choices such as sizes or add-ons, each option adjusting the price
+ *                 items:
+ *                   $ref: '#/components/schemas/ItemOptionGroup'
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Units in stock; null means not tracked. Orders take stock and fail once it runs out.
+ *                 example: 50
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: An itemLowStock socket alert is sent when stock falls to this level
+ *                 example: 5
  *               status:
  *                 type: string
  *                 enum: [active, inactive]
@@ -50,6 +114,10 @@
  *         description: Item created successfully
  *       400:
  *         description: Invalid category ID
+ *       402:
+ *         description: The business owner has no active subscription plan
+ *       403:
+ *         description: The plan's maxItem limit is reached
  *       500:
  *         description: Server error
  */
@@ -61,9 +129,15 @@
  * /api/v1/items:
  *   get:
  *     summary: Get a list of items
+ *     description: With lang, names and descriptions are in that language (or the next one from Accept-Language) when translated, falling back to the business default locale per field, and the translations map is left out; Content-Language lists the languages used. Without lang the stored fields and translations are returned.
  *     tags: [Items]
  *     parameters:
  *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Language code to localize names and descriptions in
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -145,6 +219,21 @@
  *                 type: array
  *                 items:
  *                   type: string
+ *               optionGroups:
+ *                 type: array
+ *                 description: Replaces the option groups. Groups and options are matched to the current ones by _id, or by name without one, and keep their IDs; options keep their stock unless stock is sent.
+ *                 items:
+ *                   $ref: '#/components/schemas/ItemOptionGroup'
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Units in stock; null means not tracked. Orders take stock and fail once it runs out.
+ *                 example: 50
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: An itemLowStock socket alert is sent when stock falls to this level
+ *                 example: 5
  *               status:
  *                 type: string
  *                 enum: [active, inactive]
@@ -180,3 +269,88 @@
  *       500:
  *         description: Server error
  */
+
+// Restore item
+
+/**
+ * @swagger
+ * /api/v1/items/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted item (only owner or admin)
+ *     description: Restores the item.
+ *     tags:
+ *       - Items
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The item ID
+ *         schema:
+ *           type: string
+ *           example: 65f63c30e84f70dca5bfa456
+ *     responses:
+ *       200:
+ *         description: Item restored successfully
+ *       400:
+ *         description: Invalid item ID format
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Deleted item not found
+ *       409:
+ *         description: The item's category is deleted
+ *       500:
+ *         description: Internal server error
+ */
+
+// Restock item
+
+/**
+ * @swagger
+ * /api/v1/items/{id}/stock:
+ *   patch:
+ *     summary: Set the stock of an item or one of its options (only owner or admin)
+ *     tags:
+ *       - Items
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The item ID
+ *         schema:
+ *           type: string
+ *           example: 65f63c30e84f70dca5bfa456
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stock
+ *             properties:
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: New stock level; null stops tracking stock
+ *                 example: 40
+ *               optionId:
+ *                 type: string
+ *                 description: Restock this option instead of the item
+ *                 example: 65f63c30e84f70dca5bfa789
+ *     responses:
+ *       200:
+ *         description: Item restocked successfully
+ *       400:
+ *         description: Invalid ID format or stock
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Item or option not found
+ *       500:
+ *         description: Internal server error
+ */
@@ -0,0 +1,32 @@
+// Purge deleted records
+
+/**
+ * @swagger
+ * /api/v1/admin/purge-deleted:
+ *   post:
+ *     summary: Permanently delete records soft-deleted before the retention period
+ *     description: Removes businesses, categories and items deleted more than retentionDays ago, along with the orders and members of purged businesses, then uploaded images no business or item refers to. The same job runs at startup and daily using SOFT_DELETE_RETENTION_DAYS (default 30).
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               retentionDays:
+ *                 type: integer
+ *                 example: 30
+ *     responses:
+ *       200:
+ *         description: Deleted records purged successfully
+ *       400:
+ *         description: Invalid retention days
+ *       403:
+ *         description: Requires permission data:purge
+ *       500:
+ *         description: Internal server error
+ */
@@ -73,8 +73,220 @@
  *         description: User signed in successfully
  *       400:
  *         description: Missing required fields
- *       404:
- *         description: User not found
+ *       401:
+ *         description: Invalid username/email or password
+ *       429:
+ *         description: Too many failed attempts for this account or IP address; see the Retry-After header
+ */
+
+// Refresh Token
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Refresh tokens are single use. Presenting a token that was already rotated revokes the whole session.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+
+// Log Out
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     summary: Log out the session that owns the refresh token
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User logged out successfully
+ *       400:
+ *         description: Missing refresh token
+ */
+
+// Log Out All Devices
+/**
+ * @swagger
+ * /api/v1/auth/logout-all:
+ *   post:
+ *     summary: Revoke every session of the current user
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User logged out from all devices
+ *       401:
+ *         description: Unauthorized
+ */
+
+// Google Sign In
+/**
+ * @swagger
+ * /api/v1/auth/google:
+ *   post:
+ *     summary: Sign in or sign up with a Google ID token
+ *     description: The ID token's signature, audience (GOOGLE_CLIENT_ID), issuer and expiry are verified before the user is signed in. New users are created and linked by their Google account ID.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *                 description: ID token (credential) returned by Google Sign-In
+ *     responses:
+ *       200:
+ *         description: User signed in successfully
+ *       201:
+ *         description: User signed up successfully
+ *       400:
+ *         description: Missing ID token
+ *       401:
+ *         description: Invalid, expired or unverified Google ID token
+ *       409:
+ *         description: Email is already linked to another Google account
+ */
+
+// Forgot Password
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Send a password reset link to the user's email
+ *     description: Always responds with 200 so the endpoint cannot be used to find registered emails. The link expires after 1 hour and can be used once.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: johndoe@example.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the email is registered
+ *       400:
+ *         description: Missing email
+ */
+
+// Reset Password
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: The token is single use. All existing sessions of the user are logged out.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: MyNewStrongPassword123!
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Missing fields, weak password or invalid/expired token
+ */
+
+// Verify Email
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     summary: Verify the user's email address
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Missing, invalid or expired token
+ */
+
+// Resend Verification Email
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link to the current user
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent successfully
+ *       401:
+ *         description: Unauthorized
  *       409:
- *         description: Invalid password
+ *         description: Email is already verified
  */
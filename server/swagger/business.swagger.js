@@ -30,6 +30,10 @@
  *               name:
  *                 type: string
  *                 example: My Business Name
+ *               slug:
+ *                 type: string
+ *                 description: Public menu slug. Defaults to one made from the name, suffixed when taken, or business-<random> when the name has no latin letters or digits
+ *                 example: my-business-name
  *               description:
  *                 type: string
  *                 example: A brief description of the business
@@ -46,15 +50,64 @@
  *                 type: string
  *                 enum: [active, inactive, pending]
  *                 example: active
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone of the opening hours
+ *                 example: Asia/Phnom_Penh
+ *               openingHours:
+ *                 type: array
+ *                 description: Weekly ranges; day 0 is Sunday and a close before open ends after midnight. Empty means always open.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: integer
+ *                       example: 1
+ *                     open:
+ *                       type: string
+ *                       example: "08:00"
+ *                     close:
+ *                       type: string
+ *                       example: "22:00"
+ *               closures:
+ *                 type: array
+ *                 description: Holidays and other closures as inclusive local dates
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     startDate:
+ *                       type: string
+ *                       example: "2026-04-14"
+ *                     endDate:
+ *                       type: string
+ *                       example: "2026-04-16"
+ *                     reason:
+ *                       type: string
+ *                       example: Khmer New Year
+ *               orderingPaused:
+ *                 type: boolean
+ *                 example: false
+ *               phoneRegion:
+ *                 type: string
+ *                 description: ISO 3166 country code used for customer phone numbers without a country code
+ *                 example: KH
+ *               defaultLocale:
+ *                 type: string
+ *                 description: Language code of name and description, also the menu fallback language
+ *                 example: km
  *     responses:
  *       201:
  *         description: Business created successfully
  *       400:
  *         description: Validation error - missing or invalid fields
+ *       402:
+ *         description: No active subscription plan
  *       403:
- *         description: Permission denied - Telegram ID doesn't belong to user
+ *         description: Permission denied - Telegram ID doesn't belong to user, or the plan's maxBusiness limit is reached
  *       404:
  *         description: Telegram ID not found
+ *       409:
+ *         description: Business slug already exists, or the Telegram contact is not verified
  *       500:
  *         description: Internal server error
  */
@@ -140,8 +193,13 @@
  *     summary: Get a specific business by ID
  *     tags:
  *       - Businesses
- *     description: Fetches a single business by its ID.
+ *     description: Fetches a single business by its ID. With lang, names and descriptions are in that language (or the next one from Accept-Language) when translated, falling back to the business default locale per field, and the translations map is left out; Content-Language lists the languages used. Without lang the stored fields and translations are returned.
  *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Language code to localize names and descriptions in
  *       - name: id
  *         in: path
  *         description: ID of the business to fetch
@@ -184,6 +242,10 @@
  *               name:
  *                 type: string
  *                 example: Coffee & Co.
+ *               slug:
+ *                 type: string
+ *                 description: Public menu slug, unchanged unless given
+ *                 example: coffee-and-co
  *               description:
  *                 type: string
  *                 example: Cozy coffee shop in Phnom Penh
@@ -200,6 +262,51 @@
  *                 type: string
  *                 enum: [active, inactive, pending]
  *                 example: active
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone of the opening hours
+ *                 example: Asia/Phnom_Penh
+ *               openingHours:
+ *                 type: array
+ *                 description: Weekly ranges; day 0 is Sunday and a close before open ends after midnight. Empty means always open.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: integer
+ *                       example: 1
+ *                     open:
+ *                       type: string
+ *                       example: "08:00"
+ *                     close:
+ *                       type: string
+ *                       example: "22:00"
+ *               closures:
+ *                 type: array
+ *                 description: Holidays and other closures as inclusive local dates
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     startDate:
+ *                       type: string
+ *                       example: "2026-04-14"
+ *                     endDate:
+ *                       type: string
+ *                       example: "2026-04-16"
+ *                     reason:
+ *                       type: string
+ *                       example: Khmer New Year
+ *               orderingPaused:
+ *                 type: boolean
+ *                 example: false
+ *               phoneRegion:
+ *                 type: string
+ *                 description: ISO 3166 country code used for customer phone numbers without a country code
+ *                 example: KH
+ *               defaultLocale:
+ *                 type: string
+ *                 description: Language code of name and description, also the menu fallback language
+ *                 example: km
  *               telegramId:
  *                 type: string
  *                 example: 65f5d12e0a1cb8a456789abc
@@ -212,6 +319,53 @@
  *         description: Forbidden - Not allowed to update this business
  *       404:
  *         description: Business or Telegram not found
+ *       409:
+ *         description: Business slug already exists, or the Telegram contact is not verified
+ *       500:
+ *         description: Internal server error
+ */
+
+// Pause or resume ordering
+
+/**
+ * @swagger
+ * /api/v1/businesses/{id}/ordering:
+ *   patch:
+ *     summary: Pause or resume ordering (owner, staff or admin)
+ *     description: While paused, new orders are rejected even during opening hours.
+ *     tags:
+ *       - Businesses
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The business ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paused
+ *             properties:
+ *               paused:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Ordering paused or resumed successfully
+ *       400:
+ *         description: Invalid Business ID format or paused value
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Business not found
  *       500:
  *         description: Internal server error
  */
@@ -223,6 +377,7 @@
  * /api/v1/businesses/{id}:
  *   delete:
  *     summary: Delete a business (only owner or admin)
+ *     description: Soft deletes the business with all of its categories and items. They can be restored until the retention period ends.
  *     tags:
  *       - Businesses
  *     security:
@@ -247,3 +402,36 @@
  *       500:
  *         description: Internal server error
  */
+
+// Restore business
+
+/**
+ * @swagger
+ * /api/v1/businesses/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted business (only owner or admin)
+ *     description: Restores the business together with the categories and items deleted along with it.
+ *     tags:
+ *       - Businesses
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The business ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *     responses:
+ *       200:
+ *         description: Business restored successfully
+ *       400:
+ *         description: Invalid business ID format
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Deleted business not found
+ *       500:
+ *         description: Internal server error
+ */
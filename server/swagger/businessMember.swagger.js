@@ -0,0 +1,222 @@
+// Get business members
+
+/**
+ * @swagger
+ * /api/v1/businesses/{id}/members:
+ *   get:
+ *     summary: Get the members of a business (owner, manager or admin)
+ *     tags:
+ *       - Business Members
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The business ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *     responses:
+ *       200:
+ *         description: Members fetched successfully
+ *       400:
+ *         description: Invalid Business ID format
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Business not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Invite business member
+
+/**
+ * @swagger
+ * /api/v1/businesses/{id}/members:
+ *   post:
+ *     summary: Invite a member to a business
+ *     description: Emails an invitation link that expires after 7 days. Owners and admins can invite any role; managers can invite cashier and kitchen staff. Inviting an email whose invitation is still pending sends it again with a new link. The memberInvited socket event only reaches owners, managers and admins.
+ *     tags:
+ *       - Business Members
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The business ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: cashier@example.com
+ *               role:
+ *                 type: string
+ *                 enum: [manager, cashier, kitchen]
+ *                 example: cashier
+ *     responses:
+ *       200:
+ *         description: Pending invitation sent again
+ *       201:
+ *         description: Member invited successfully
+ *       400:
+ *         description: Missing email or invalid role
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Business not found
+ *       409:
+ *         description: Email is already an active member of the business
+ *       500:
+ *         description: Internal server error
+ */
+
+// Accept invitation
+
+/**
+ * @swagger
+ * /api/v1/businesses/{id}/members/accept:
+ *   post:
+ *     summary: Accept an invitation to a business
+ *     description: The signed-in user's email must match the invited email.
+ *     tags:
+ *       - Business Members
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The business ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 3f1c9a...
+ *     responses:
+ *       200:
+ *         description: Invitation accepted successfully
+ *       400:
+ *         description: Missing, invalid or expired token
+ *       403:
+ *         description: Invitation was sent to a different email address
+ *       404:
+ *         description: Business not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Update business member
+
+/**
+ * @swagger
+ * /api/v1/businesses/{id}/members/{memberId}:
+ *   patch:
+ *     summary: Change the role of a business member
+ *     tags:
+ *       - Business Members
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The business ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *       - name: memberId
+ *         in: path
+ *         required: true
+ *         description: The member ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcd01
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [manager, cashier, kitchen]
+ *                 example: kitchen
+ *     responses:
+ *       200:
+ *         description: Member updated successfully
+ *       400:
+ *         description: Invalid ID format or role
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Business or member not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Remove business member
+
+/**
+ * @swagger
+ * /api/v1/businesses/{id}/members/{memberId}:
+ *   delete:
+ *     summary: Remove a member from a business
+ *     description: Members can also remove themselves to leave the business.
+ *     tags:
+ *       - Business Members
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The business ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *       - name: memberId
+ *         in: path
+ *         required: true
+ *         description: The member ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcd01
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Business or member not found
+ *       500:
+ *         description: Internal server error
+ */
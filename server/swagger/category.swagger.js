@@ -5,6 +5,7 @@
  * /api/v1/categories:
  *   post:
  *     summary: Create a new category for a business (owner only)
+ *     description: The slug is generated from the name and is unique within the business; clashes get a numeric suffix such as drinks-2.
  *     tags:
  *       - Categories
  *     security:
@@ -36,17 +37,38 @@
  *                 enum: [active, inactive]
  *                 description: Category status
  *                 example: active
+ *               parentId:
+ *                 type: string
+ *                 description: Top-level category of the same business to nest this one under
+ *                 example: 65f5e123ab0fcd7890abc111
+ *               availableHours:
+ *                 type: array
+ *                 description: Time windows in the business timezone, e.g. a breakfast menu. Empty means always available.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: integer
+ *                       example: 1
+ *                     open:
+ *                       type: string
+ *                       example: "07:00"
+ *                     close:
+ *                       type: string
+ *                       example: "11:00"
  *     responses:
  *       201:
  *         description: Category created successfully
  *       400:
  *         description: Bad Request - Missing or invalid fields
+ *       402:
+ *         description: The business owner has no active subscription plan
  *       403:
- *         description: Permission denied - Not the owner of the business
+ *         description: Permission denied - Not the owner of the business, or the plan's maxCategory limit is reached
  *       404:
  *         description: Business not found
  *       409:
- *         description: Duplicate category name or slug
+ *         description: Duplicate category name
  *       500:
  *         description: Internal server error
  */
@@ -58,12 +80,18 @@
  * /api/v1/categories:
  *   get:
  *     summary: Get a list of categories
+ *     description: With lang, names and descriptions are in that language (or the next one from Accept-Language) when translated, falling back to the business default locale per field, and the translations map is left out; Content-Language lists the languages used. Without lang the stored fields and translations are returned.
  *     tags:
  *       - Categories
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Language code to localize names and descriptions in
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -79,14 +107,14 @@
  *         name: sort
  *         schema:
  *           type: string
- *           default: createdAt
+ *           default: position
  *         description: Field to sort by
  *       - in: query
  *         name: order
  *         schema:
  *           type: string
  *           enum: [asc, desc]
- *           default: desc
+ *           default: asc
  *         description: Sort order
  *       - in: query
  *         name: search
@@ -104,6 +132,11 @@
  *           type: string
  *           enum: [active, inactive]
  *         description: Filter by status
+ *       - in: query
+ *         name: parentId
+ *         schema:
+ *           type: string
+ *         description: List subcategories of this category, or "null" for top-level categories only
  *     responses:
  *       200:
  *         description: Categories fetched successfully
@@ -120,11 +153,17 @@
  * /api/v1/categories/{id}:
  *   get:
  *     summary: Get a specific category by ID
+ *     description: With lang, names and descriptions are in that language (or the next one from Accept-Language) when translated, falling back to the business default locale per field, and the translations map is left out; Content-Language lists the languages used. Without lang the stored fields and translations are returned.
  *     tags:
  *       - Categories
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Language code to localize names and descriptions in
  *       - in: path
  *         name: id
  *         required: true
@@ -149,6 +188,7 @@
  * /api/v1/categories/{id}:
  *   patch:
  *     summary: Update a category
+ *     description: Renaming the category, or moving it to another business, regenerates its slug.
  *     tags:
  *       - Categories
  *     security:
@@ -180,6 +220,28 @@
  *               type: string
  *               enum: [active, inactive]
  *               description: The status of the category (either "active" or "inactive").
+ *             parentId:
+ *               type: string
+ *               description: Top-level category of the same business to nest this one under
+ *               example: 65f5e123ab0fcd7890abc111
+ *             availableHours:
+ *               type: array
+ *               description: Time windows in the business timezone, e.g. a breakfast menu. Empty means always available.
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   day:
+ *                     type: integer
+ *                     example: 1
+ *                   open:
+ *                     type: string
+ *                     example: "07:00"
+ *                   close:
+ *                     type: string
+ *                     example: "11:00"
+ *             position:
+ *               type: integer
+ *               description: Display order within the menu, lowest first
  *     responses:
  *       200:
  *         description: Category updated successfully
@@ -190,7 +252,7 @@
  *       404:
  *         description: Category not found or business not found
  *       409:
- *         description: Category name or slug already exists for this business
+ *         description: Category name already exists, or the category has subcategories and cannot be nested or moved
  *       500:
  *         description: Internal server error
  */
@@ -227,3 +289,81 @@
  *       500:
  *         description: "Internal server error"
  */
+
+// Restore category
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted category (only owner or admin)
+ *     description: Restores the category together with the items deleted along with it.
+ *     tags:
+ *       - Categories
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The category ID
+ *         schema:
+ *           type: string
+ *           example: 65f63c30e84f70dca5bfa123
+ *     responses:
+ *       200:
+ *         description: Category restored successfully
+ *       400:
+ *         description: Invalid category ID format
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Deleted category not found
+ *       409:
+ *         description: The category's business or parent category is deleted
+ *       500:
+ *         description: Internal server error
+ */
+
+// Reorder categories
+
+/**
+ * @swagger
+ * /api/v1/categories/reorder:
+ *   patch:
+ *     summary: Set the display order of a business's categories
+ *     tags:
+ *       - Categories
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - businessId
+ *               - categoryIds
+ *             properties:
+ *               businessId:
+ *                 type: string
+ *                 example: 65f5e123ab0fcd7890abcdef
+ *               categoryIds:
+ *                 type: array
+ *                 description: Category IDs in display order; each gets its index as position
+ *                 items:
+ *                   type: string
+ *                 example: [65f5e123ab0fcd7890abc111, 65f5e123ab0fcd7890abc222]
+ *     responses:
+ *       200:
+ *         description: Categories reordered successfully
+ *       400:
+ *         description: Invalid IDs, or a category belongs to another business
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Business not found
+ *       500:
+ *         description: Internal server error
+ */
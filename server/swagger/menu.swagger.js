@@ -0,0 +1,51 @@
+// Get public menu
+
+/**
+ * @swagger
+ * /api/v1/public/menus/{slug}:
+ *   get:
+ *     summary: Get the active menu of a business by its slug
+ *     description: Returns the business profile with its active categories in display order, each holding its active items and subcategories. Categories outside their availability window are left out. Names and descriptions are in the first requested language the menu is translated to, falling back to the business default locale per field; the chosen language is returned as locale and in the Content-Language header. business.telegramOrderUrl opens the Telegram bot's ordering conversation when TELEGRAM_BOT_USERNAME is set. Responses carry ETag and Last-Modified headers; conditional requests with If-None-Match or If-Modified-Since get 304 until the menu changes. Last-Modified also moves forward when the business opens or closes or a category window starts or ends.
+ *     tags:
+ *       - Public
+ *     parameters:
+ *       - name: slug
+ *         in: path
+ *         required: true
+ *         description: The business slug
+ *         schema:
+ *           type: string
+ *           example: coffee-and-co
+ *       - name: lang
+ *         in: query
+ *         required: false
+ *         description: Preferred language code; takes precedence over Accept-Language
+ *         schema:
+ *           type: string
+ *           example: km
+ *       - name: Accept-Language
+ *         in: header
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: km-KH, en;q=0.8
+ *       - name: If-None-Match
+ *         in: header
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: If-Modified-Since
+ *         in: header
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Menu fetched successfully
+ *       304:
+ *         description: Menu not modified
+ *       404:
+ *         description: Menu not found
+ *       500:
+ *         description: Internal server error
+ */
@@ -0,0 +1,219 @@
+// Update order status
+
+/**
+ * @swagger
+ * /api/v1/orders/{id}/status:
+ *   patch:
+ *     summary: Move an order to its next status (business owner or admin only)
+ *     description: |
+ *       Allowed transitions:
+ *       pending → processing | canceled,
+ *       processing → shipped | completed | canceled,
+ *       shipped → completed | canceled.
+ *       Completed and canceled orders cannot be changed. Every change is recorded in statusHistory.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, processing, shipped, completed, canceled]
+ *                 example: processing
+ *               reason:
+ *                 type: string
+ *                 example: Kitchen started preparing the order
+ *     responses:
+ *       200:
+ *         description: Order status updated successfully
+ *       400:
+ *         description: Missing or invalid status
+ *       403:
+ *         description: Permission denied - Not the owner of the business
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ *       500:
+ *         description: Internal server error
+ */
+
+// Get order notifications
+
+/**
+ * @swagger
+ * /api/v1/orders/{id}/notifications:
+ *   get:
+ *     summary: Get the Telegram delivery log of an order (business staff or admin)
+ *     description: One entry per order created or status change notification, with its status (pending, sent, failed or skipped), attempts and last error. Notifications are skipped while the business Telegram chat is not linked or no bot token is configured. Deliveries still pending when the server restarted are marked failed at startup.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The order ID
+ *     responses:
+ *       200:
+ *         description: Order notifications fetched successfully
+ *       400:
+ *         description: Invalid Order ID format
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Verify order totals
+
+/**
+ * @swagger
+ * /api/v1/orders/{id}/verify:
+ *   get:
+ *     summary: Recompute the totals of a stored order (business staff or admin)
+ *     description: Each line is recomputed from the item price and option priceDeltas copied onto it when the order was placed, and the order total from the lines. valid is false when a stored unit price, line total or order total does not match. menuUnitPrice is the current menu price of the line and priceMatchesMenu tells whether the stored unit price equals it. Older lines without a copied price (hasPriceSnapshot false) are valid only when their price matches the menu, so a deleted item or a changed menu price marks them for review.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The order ID
+ *     responses:
+ *       200:
+ *         description: Order totals verified successfully, returns valid, stored and computed totals and one entry per line
+ *       400:
+ *         description: Invalid Order ID format
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Public checkout
+
+/**
+ * @swagger
+ * /api/v1/public/businesses/{businessId}/orders:
+ *   post:
+ *     summary: Place an order against a business menu (no authentication)
+ *     description: Items must belong to the business and be active. Prices are always taken from the menu; any client supplied price is ignored. The returned trackingToken is shown only once.
+ *     tags:
+ *       - Public
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The business ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - phone
+ *               - address
+ *               - items
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Sok Dara
+ *               phone:
+ *                 type: string
+ *                 description: Read in the business phoneRegion when it has no country code, and stored in E.164 with a display format
+ *                 example: "012345678"
+ *               address:
+ *                 type: string
+ *                 example: Street 271, Phnom Penh
+ *               note:
+ *                 type: string
+ *                 example: No ice please
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                       example: 65f63c30e84f70dca5bfa456
+ *                     quantity:
+ *                       type: integer
+ *                       example: 2
+ *                     optionIds:
+ *                       type: array
+ *                       description: IDs of the chosen item options
+ *                       items:
+ *                         type: string
+ *                       example: [65f63c30e84f70dca5bfa789]
+ *     responses:
+ *       201:
+ *         description: Order placed successfully, returns the order and its trackingToken
+ *       400:
+ *         description: Missing or invalid fields or item options. An invalid phone is reported in error.fields.phone.
+ *       404:
+ *         description: Business or item not found
+ *       409:
+ *         description: Item is not available right now or out of stock, or the business is closed or has paused ordering
+ *       500:
+ *         description: Internal server error
+ */
+
+// Track order
+
+/**
+ * @swagger
+ * /api/v1/public/orders/{token}:
+ *   get:
+ *     summary: Get the status of an order using its tracking token
+ *     tags:
+ *       - Public
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tracking token returned when the order was placed
+ *     responses:
+ *       200:
+ *         description: Order fetched successfully
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
@@ -24,6 +24,12 @@
  *                 type: string
  *                 description: A brief description of the role
  *                 example: "Administrator with full access"
+ *               permissions:
+ *                 type: array
+ *                 description: Permissions granted to the role (see GET /api/v1/roles/permissions), "*" grants everything
+ *                 items:
+ *                   type: string
+ *                 example: ["items:write", "orders:read"]
  *               status:
  *                 type: string
  *                 description: The status of the role (active or inactive)
@@ -144,6 +150,11 @@
  *               description:
  *                 type: string
  *                 example: "Role with editing privileges"
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["items:write", "orders:read:any"]
  *               status:
  *                 type: string
  *                 enum:
@@ -190,3 +201,21 @@
  *       500:
  *         description: "Internal server error"
  */
+
+// Get permissions
+
+/**
+ * @swagger
+ * /api/v1/roles/permissions:
+ *   get:
+ *     summary: List every permission that can be granted to a role
+ *     tags:
+ *       - Roles
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions fetched successfully
+ *       403:
+ *         description: Requires permission roles:manage
+ */
@@ -25,7 +25,8 @@
  *                 example: "johndoe123"
  *               phoneNumber:
  *                 type: string
- *                 example: "+1234567890"
+ *                 description: Read in the KH region when it has no country code, and stored in E.164 with a display format
+ *                 example: "012345678"
  *               status:
  *                 type: string
  *                 example: "active"
@@ -33,7 +34,7 @@
  *       201:
  *         description: Telegram entry created successfully
  *       400:
- *         description: Bad request due to missing required fields
+ *         description: Bad request due to missing required fields or an invalid phone number (error.fields.phoneNumber)
  *       500:
  *         description: Internal server error
  */
@@ -107,9 +108,11 @@
  * /api/v1/telegrams/{id}:
  *   get:
  *     summary: Get a specific telegram by ID
- *     description: Fetch a single telegram using its unique ID.
+ *     description: Fetch a single telegram using its unique ID. Only its owner or a user with permission telegrams:read:any can fetch it.
  *     tags:
  *       - Telegrams
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -121,6 +124,8 @@
  *     responses:
  *       200:
  *         description: The requested telegram was found and returned successfully.
+ *       403:
+ *         description: Permission denied
  *       404:
  *         description: Telegram with the provided ID was not found.
  *       500:
@@ -168,7 +173,7 @@
  *       200:
  *         description: Telegram updated successfully
  *       400:
- *         description: Invalid ID format or invalid status value
+ *         description: Invalid ID format, status value or phone number (error.fields.phoneNumber)
  *       403:
  *         description: Permission denied
  *       404:
@@ -199,7 +204,55 @@
  *       200:
  *         description: Telegram updated successfully
  *       400:
- *         description: Invalid ID format or invalid status value
+ *         description: Invalid ID format, status value or phone number (error.fields.phoneNumber)
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Telegram not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Link telegram chat
+
+/**
+ * @swagger
+ * /api/v1/telegrams/{id}/link:
+ *   post:
+ *     summary: Create a one-time code to link a telegram to a chat (owner or admin)
+ *     description: The user opens the returned deep link, or sends "/start <code>" to the bot, within 15 minutes. The bot webhook then stores the chat ID and marks the telegram verified. Only verified telegrams can be attached to a business. A new code replaces any earlier one.
+ *     tags:
+ *       - Telegrams
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The telegram ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "60c72b8f5f1b2c001f1d1a2b"
+ *     responses:
+ *       201:
+ *         description: Link code created. The link is null when TELEGRAM_BOT_USERNAME is not set.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   example: 3f9a1c0d2b7e4a6f8c5d1e2f3a4b5c6d
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 link:
+ *                   type: string
+ *                   nullable: true
+ *                   example: https://t.me/vd_menu_bot?start=3f9a1c0d2b7e4a6f8c5d1e2f3a4b5c6d
+ *       400:
+ *         description: Invalid Telegram ID format
  *       403:
  *         description: Permission denied
  *       404:
@@ -207,3 +260,35 @@
  *       500:
  *         description: Internal server error
  */
+
+// Telegram bot webhook
+
+/**
+ * @swagger
+ * /api/v1/telegrams/webhook:
+ *   post:
+ *     summary: Receive Telegram Bot API updates
+ *     description: Registered with the Bot API setWebhook method, using TELEGRAM_WEBHOOK_SECRET as secret_token. A "/start <code>" message links the chat to the telegram the code was issued for. A "/start order_<slug>" message, sent by the business's telegramOrderUrl from the public menu, starts an ordering conversation in a private chat, where the customer browses categories and items with inline keyboards, builds a cart, sends their name, phone and address, and confirms. Orders are validated and placed like public checkout orders. Conversation state is stored per chat and expires after 7 idle days. /menu shows the menu again and /cancel empties the cart. Failed updates are logged and still acknowledged so Telegram does not redeliver them.
+ *     tags:
+ *       - Telegrams
+ *     parameters:
+ *       - name: X-Telegram-Bot-Api-Secret-Token
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: A Telegram Update object
+ *     responses:
+ *       200:
+ *         description: Update processed or ignored
+ *       401:
+ *         description: Invalid webhook secret
+ *       503:
+ *         description: TELEGRAM_WEBHOOK_SECRET is not set
+ */
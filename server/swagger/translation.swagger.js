@@ -0,0 +1,346 @@
+// Translation schema
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Translation:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: កាហ្វេទឹកដោះគោ
+ *         description:
+ *           type: string
+ *           example: កាហ្វេខ្មែរជាមួយទឹកដោះគោខាប់
+ */
+
+// Get business translations
+
+/**
+ * @swagger
+ * /api/v1/businesses/{id}/translations:
+ *   get:
+ *     summary: Get the translations of a business (owner, manager or admin)
+ *     tags:
+ *       - Businesses
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The business ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *     responses:
+ *       200:
+ *         description: Translations keyed by locale, with the business default locale
+ *       400:
+ *         description: Invalid Business ID format
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Business not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Save business translation
+
+/**
+ * @swagger
+ * /api/v1/businesses/{id}/translations/{locale}:
+ *   put:
+ *     summary: Create or replace a business translation (owner, manager or admin)
+ *     description: Fields left out fall back to the value in the business default locale. The default locale itself is edited through the business's own name and description.
+ *     tags:
+ *       - Businesses
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The business ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *       - name: locale
+ *         in: path
+ *         required: true
+ *         description: Language code; region subtags such as km-KH are reduced to km
+ *         schema:
+ *           type: string
+ *           example: km
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Translation'
+ *     responses:
+ *       200:
+ *         description: Translation saved successfully
+ *       400:
+ *         description: Invalid ID, locale or fields, or the locale is the business default
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Business not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a business translation (owner, manager or admin)
+ *     tags:
+ *       - Businesses
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The business ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *       - name: locale
+ *         in: path
+ *         required: true
+ *         description: Language code; region subtags such as km-KH are reduced to km
+ *         schema:
+ *           type: string
+ *           example: km
+ *     responses:
+ *       200:
+ *         description: Translation deleted successfully
+ *       400:
+ *         description: Invalid ID or locale
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Business or translation not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Get category translations
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}/translations:
+ *   get:
+ *     summary: Get the translations of a category (owner, manager or admin)
+ *     tags:
+ *       - Categories
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The category ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *     responses:
+ *       200:
+ *         description: Translations keyed by locale, with the business default locale
+ *       400:
+ *         description: Invalid Category ID format
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Save category translation
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}/translations/{locale}:
+ *   put:
+ *     summary: Create or replace a category translation (owner, manager or admin)
+ *     description: Fields left out fall back to the value in the business default locale. The default locale itself is edited through the category's own name and description.
+ *     tags:
+ *       - Categories
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The category ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *       - name: locale
+ *         in: path
+ *         required: true
+ *         description: Language code; region subtags such as km-KH are reduced to km
+ *         schema:
+ *           type: string
+ *           example: km
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Translation'
+ *     responses:
+ *       200:
+ *         description: Translation saved successfully
+ *       400:
+ *         description: Invalid ID, locale or fields, or the locale is the business default
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a category translation (owner, manager or admin)
+ *     tags:
+ *       - Categories
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The category ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *       - name: locale
+ *         in: path
+ *         required: true
+ *         description: Language code; region subtags such as km-KH are reduced to km
+ *         schema:
+ *           type: string
+ *           example: km
+ *     responses:
+ *       200:
+ *         description: Translation deleted successfully
+ *       400:
+ *         description: Invalid ID or locale
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Category or translation not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Get item translations
+
+/**
+ * @swagger
+ * /api/v1/items/{id}/translations:
+ *   get:
+ *     summary: Get the translations of a item (owner, manager or admin)
+ *     tags:
+ *       - Items
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The item ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *     responses:
+ *       200:
+ *         description: Translations keyed by locale, with the business default locale
+ *       400:
+ *         description: Invalid Item ID format
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Item not found
+ *       500:
+ *         description: Internal server error
+ */
+
+// Save item translation
+
+/**
+ * @swagger
+ * /api/v1/items/{id}/translations/{locale}:
+ *   put:
+ *     summary: Create or replace a item translation (owner, manager or admin)
+ *     description: Fields left out fall back to the value in the business default locale. The default locale itself is edited through the item's own name and description.
+ *     tags:
+ *       - Items
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The item ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *       - name: locale
+ *         in: path
+ *         required: true
+ *         description: Language code; region subtags such as km-KH are reduced to km
+ *         schema:
+ *           type: string
+ *           example: km
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Translation'
+ *     responses:
+ *       200:
+ *         description: Translation saved successfully
+ *       400:
+ *         description: Invalid ID, locale or fields, or the locale is the business default
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Item not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a item translation (owner, manager or admin)
+ *     tags:
+ *       - Items
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The item ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *       - name: locale
+ *         in: path
+ *         required: true
+ *         description: Language code; region subtags such as km-KH are reduced to km
+ *         schema:
+ *           type: string
+ *           example: km
+ *     responses:
+ *       200:
+ *         description: Translation deleted successfully
+ *       400:
+ *         description: Invalid ID or locale
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Item or translation not found
+ *       500:
+ *         description: Internal server error
+ */
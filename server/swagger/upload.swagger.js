@@ -0,0 +1,74 @@
+// Upload image
+
+/**
+ * @swagger
+ * /api/v1/uploads/images:
+ *   post:
+ *     summary: Upload an image for a business logo, business image or item
+ *     description: Accepts JPEG, PNG or WebP up to UPLOAD_MAX_BYTES (default 5 MB) and stores small (150px), medium (400px) and large (800px) WebP thumbnails. Use the returned url as Business.logo, Business.image or Item.image; uploads nothing refers to are deleted after 24 hours.
+ *     tags:
+ *       - Uploads
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *               folder:
+ *                 type: string
+ *                 enum: [logos, businesses, items]
+ *                 default: items
+ *     responses:
+ *       201:
+ *         description: Image uploaded successfully, returns its url and thumbnails
+ *       400:
+ *         description: Missing image or invalid folder
+ *       413:
+ *         description: Image is too large
+ *       415:
+ *         description: Unsupported image type
+ *       500:
+ *         description: Internal server error
+ */
+
+// Delete image
+
+/**
+ * @swagger
+ * /api/v1/uploads/images/{id}:
+ *   delete:
+ *     summary: Delete an uploaded image and its thumbnails (uploader or admin)
+ *     tags:
+ *       - Uploads
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The upload ID
+ *         schema:
+ *           type: string
+ *           example: 65f5e123ab0fcd7890abcdef
+ *     responses:
+ *       200:
+ *         description: Image deleted successfully
+ *       400:
+ *         description: Invalid Upload ID format
+ *       403:
+ *         description: Permission denied - Not the uploader and no uploads:delete:any permission
+ *       404:
+ *         description: Upload not found
+ *       409:
+ *         description: Image is still used by a business or item
+ *       500:
+ *         description: Internal server error
+ */
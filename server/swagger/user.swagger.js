@@ -155,3 +155,56 @@
  *       500:
  *         description: Internal server error
  */
+
+// Get user lockout
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/lockout:
+ *   get:
+ *     summary: Get the sign-in lockout status of a user (admin only)
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 65f5c080fe3cb9a123456789
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: User lockout fetched successfully
+ *       400:
+ *         description: Invalid user ID format
+ *       403:
+ *         description: Access denied. Admin role required.
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Clear failed sign-in attempts and lockout of a user (admin only)
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 65f5c080fe3cb9a123456789
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: User lockout cleared successfully
+ *       400:
+ *         description: Invalid user ID format
+ *       403:
+ *         description: Access denied. Admin role required.
+ *       404:
+ *         description: User not found
+ */
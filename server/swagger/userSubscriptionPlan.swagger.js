@@ -0,0 +1,39 @@
+// Get current user's plan usage
+
+/**
+ * @swagger
+ * /api/v1/user-subscription-plans/me/usage:
+ *   get:
+ *     summary: Get the current user's subscription plan usage
+ *     description: Returns the caller's active plan and how many businesses, categories and items are used against its limits.
+ *     tags:
+ *       - User Subscription Plans
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription plan usage fetched successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               statusCode: 200
+ *               message: Subscription plan usage fetched successfully
+ *               data:
+ *                 plan:
+ *                   _id: 65a1e4e2f4b3c4a1d9a12b45
+ *                   name: Premium Plan
+ *                   slug: premium-plan
+ *                 subscription:
+ *                   _id: 65a1f4e2f4b3c4a1d9a12b78
+ *                   startDate: 2025-02-01T00:00:00.000Z
+ *                   endDate: 2025-05-01T00:00:00.000Z
+ *                 usage:
+ *                   business: { used: 1, max: 3, remaining: 2 }
+ *                   category: { used: 4, max: 20, remaining: 16 }
+ *                   item: { used: 7, max: 10, remaining: 3 }
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
@@ -0,0 +1,269 @@
+export const DEFAULT_TIMEZONE = "Asia/Phnom_Penh";
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * 60 * 1000;
+// How far ahead nextOpenAt looks, enough to step over long closures
+const NEXT_OPEN_LOOKAHEAD_DAYS = 366;
+// How far back getLastScheduleChangeAt looks; covers a weekly schedule
+const LAST_CHANGE_LOOKBACK_DAYS = 8;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Returns an error message, or null when the schedule is valid
+export const validateOpeningHours = (openingHours) => {
+  if (!Array.isArray(openingHours)) {
+    return "Opening hours must be an array.";
+  }
+
+  for (const range of openingHours) {
+    if (!Number.isInteger(range?.day) || range.day < 0 || range.day > 6) {
+      return "Opening hours day must be an integer from 0 (Sunday) to 6.";
+    }
+    if (!TIME_PATTERN.test(range.open) || !TIME_PATTERN.test(range.close)) {
+      return "Opening hours open and close must use HH:mm format.";
+    }
+    if (range.open === range.close) {
+      return "Opening hours open and close must differ.";
+    }
+  }
+
+  return null;
+};
+
+export const validateClosures = (closures) => {
+  if (!Array.isArray(closures)) {
+    return "Closures must be an array.";
+  }
+
+  for (const closure of closures) {
+    const endDate = closure?.endDate || closure?.startDate;
+    if (!DATE_PATTERN.test(closure?.startDate) || !DATE_PATTERN.test(endDate)) {
+      return "Closure dates must use YYYY-MM-DD format.";
+    }
+    if (endDate < closure.startDate) {
+      return "Closure endDate must not be before startDate.";
+    }
+  }
+
+  return null;
+};
+
+// Formatters are costly to create and are reused per time zone
+const localFormatters = new Map();
+
+const getLocalFormatter = (timeZone) => {
+  if (!localFormatters.has(timeZone)) {
+    localFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+
+  return localFormatters.get(timeZone);
+};
+
+// Wall-clock parts of `date` in `timeZone`
+const getLocalParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getLocalFormatter(timeZone)
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    minutes: parts.hour * 60 + parts.minute,
+    offset:
+      Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+      ) -
+      Math.floor(date.getTime() / 1000) * 1000,
+  };
+};
+
+// Local calendar day `dayOffset` days after the given local date
+const shiftDay = ({ year, month, day }, dayOffset) => {
+  const date = new Date(Date.UTC(year, month - 1, day) + dayOffset * DAY_MS);
+
+  return {
+    key: date.toISOString().slice(0, 10),
+    weekday: date.getUTCDay(),
+    utc: date.getTime(),
+  };
+};
+
+// Instant at which the local wall clock in `timeZone` reads `localUtc`
+const toInstant = (localUtc, timeZone) => {
+  const guess = localUtc - getLocalParts(new Date(localUtc), timeZone).offset;
+  return new Date(localUtc - getLocalParts(new Date(guess), timeZone).offset);
+};
+
+const isClosedOn = (dateKey, closures = []) =>
+  closures.some(
+    (closure) =>
+      closure.startDate <= dateKey &&
+      dateKey <= (closure.endDate || closure.startDate)
+  );
+
+// Ranges for a weekday in minutes; a close before open runs past midnight.
+// Without any schedule the business counts as open all day.
+const getDayRanges = (openingHours, weekday) => {
+  if (!openingHours?.length) return [{ start: 0, end: DAY_MINUTES }];
+
+  return openingHours
+    .filter((range) => range.day === weekday)
+    .map((range) => {
+      const start = toMinutes(range.open);
+      const close = toMinutes(range.close);
+      return { start, end: close > start ? close : close + DAY_MINUTES };
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+export const isBusinessOpen = (business, date = new Date()) => {
+  const timeZone = business.timezone || DEFAULT_TIMEZONE;
+  const local = getLocalParts(date, timeZone);
+  const today = shiftDay(local, 0);
+  const yesterday = shiftDay(local, -1);
+
+  const openToday =
+    !isClosedOn(today.key, business.closures) &&
+    getDayRanges(business.openingHours, today.weekday).some(
+      (range) => range.start <= local.minutes && local.minutes < range.end
+    );
+
+  // Overnight ranges that started yesterday
+  const openFromYesterday =
+    !isClosedOn(yesterday.key, business.closures) &&
+    getDayRanges(business.openingHours, yesterday.weekday).some(
+      (range) => local.minutes + DAY_MINUTES < range.end
+    );
+
+  return openToday || openFromYesterday;
+};
+
+// Category windows share the opening hours format and business timezone
+export const isCategoryAvailable = (category, business, date = new Date()) =>
+  isBusinessOpen(
+    { timezone: business.timezone, openingHours: category.availableHours },
+    date
+  );
+
+// Next time the business opens, or null when it is open now or has no
+// opening hours within the lookahead window.
+export const getNextOpenAt = (business, date = new Date()) => {
+  if (isBusinessOpen(business, date)) return null;
+
+  const timeZone = business.timezone || DEFAULT_TIMEZONE;
+  const local = getLocalParts(date, timeZone);
+
+  for (let offset = 0; offset <= NEXT_OPEN_LOOKAHEAD_DAYS; offset++) {
+    const day = shiftDay(local, offset);
+    if (isClosedOn(day.key, business.closures)) continue;
+
+    for (const range of getDayRanges(business.openingHours, day.weekday)) {
+      const opensAt = toInstant(day.utc + range.start * 60 * 1000, timeZone);
+      if (opensAt > date) return opensAt;
+    }
+  }
+
+  return null;
+};
+
+// Most recent time up to `date` at which the schedule opened or closed, for
+// caching responses that show it. Null when it has no hours or closures and
+// so never changes. Without a change in the lookback window, the start of
+// that window is returned, which is never earlier than the real change.
+export const getLastScheduleChangeAt = (schedule, date = new Date()) => {
+  if (!schedule.openingHours?.length && !schedule.closures?.length) {
+    return null;
+  }
+
+  const timeZone = schedule.timezone || DEFAULT_TIMEZONE;
+  const local = getLocalParts(date, timeZone);
+
+  // Local midnights, where closures start and end, and range edges
+  const boundaries = [];
+  for (let offset = -LAST_CHANGE_LOOKBACK_DAYS; offset <= 0; offset++) {
+    const day = shiftDay(local, offset);
+    boundaries.push(day.utc);
+    for (const range of getDayRanges(schedule.openingHours, day.weekday)) {
+      boundaries.push(
+        day.utc + range.start * 60 * 1000,
+        day.utc + range.end * 60 * 1000
+      );
+    }
+  }
+
+  const instants = boundaries
+    .map((localUtc) => toInstant(localUtc, timeZone))
+    .filter((instant) => instant <= date)
+    .sort((a, b) => b - a);
+
+  for (const instant of instants) {
+    const before = new Date(instant.getTime() - 60 * 1000);
+    if (
+      isBusinessOpen(schedule, instant) !== isBusinessOpen(schedule, before)
+    ) {
+      return instant;
+    }
+  }
+
+  return toInstant(shiftDay(local, -LAST_CHANGE_LOOKBACK_DAYS).utc, timeZone);
+};
+
+// Returns null when the business takes orders, otherwise an error descriptor
+// ready to be passed to sendError.
+export const checkAcceptingOrders = (business, date = new Date()) => {
+  if (business.orderingPaused) {
+    return {
+      statusCode: 409,
+      message: "This business has paused ordering.",
+      error: { isOpen: isBusinessOpen(business, date), orderingPaused: true },
+    };
+  }
+
+  if (!isBusinessOpen(business, date)) {
+    return {
+      statusCode: 409,
+      message: "This business is closed.",
+      error: {
+        isOpen: false,
+        nextOpenAt: getNextOpenAt(business, date),
+        orderingPaused: false,
+      },
+    };
+  }
+
+  return null;
+};
@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import jwt from "jsonwebtoken";
+
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const DEFAULT_JWKS_URL = "https://www.googleapis.com/oauth2/v3/certs";
+const DEFAULT_CACHE_SECONDS = 3600;
+const MIN_REFRESH_INTERVAL_MS = 60 * 1000;
+
+// kid -> KeyObject, refreshed when expired or when an unknown kid shows up
+let keyCache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+const loadJwks = async () => {
+  // GOOGLE_JWKS_FILE lets development and tests verify tokens offline
+  if (process.env.GOOGLE_JWKS_FILE) {
+    const content = await fs.readFile(process.env.GOOGLE_JWKS_FILE, "utf8");
+    return { jwks: JSON.parse(content), maxAge: DEFAULT_CACHE_SECONDS };
+  }
+
+  const response = await fetch(process.env.GOOGLE_JWKS_URL || DEFAULT_JWKS_URL);
+  if (!response.ok) {
+    throw new Error(`Unable to fetch Google signing keys (${response.status})`);
+  }
+
+  const cacheControl = response.headers.get("cache-control") || "";
+  const maxAge = Number(/max-age=(\d+)/.exec(cacheControl)?.[1]);
+
+  return {
+    jwks: await response.json(),
+    maxAge: maxAge || DEFAULT_CACHE_SECONDS,
+  };
+};
+
+const refreshKeys = async () => {
+  const { jwks, maxAge } = await loadJwks();
+  const keys = new Map();
+
+  for (const jwk of jwks.keys || []) {
+    if (jwk.kid && jwk.kty === "RSA") {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+    }
+  }
+
+  keyCache = {
+    keys,
+    expiresAt: Date.now() + maxAge * 1000,
+    fetchedAt: Date.now(),
+  };
+};
+
+const getSigningKey = async (kid) => {
+  const now = Date.now();
+  const unknownKid =
+    !keyCache.keys.has(kid) &&
+    now - keyCache.fetchedAt >= MIN_REFRESH_INTERVAL_MS;
+
+  if (now >= keyCache.expiresAt || unknownKid) {
+    await refreshKeys();
+  }
+
+  return keyCache.keys.get(kid);
+};
+
+export const clearGoogleKeyCache = () => {
+  keyCache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+};
+
+// Verifies a Google ID token's signature, audience, issuer and expiry.
+// Returns { payload } or { error: { statusCode, message } }.
+export const verifyGoogleIdToken = async (idToken) => {
+  const audience = (process.env.GOOGLE_CLIENT_ID || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (audience.length === 0) {
+    throw new Error("GOOGLE_CLIENT_ID is not configured");
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    return { error: { statusCode: 401, message: "Invalid Google ID token." } };
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  if (!key) {
+    return {
+      error: { statusCode: 401, message: "Unknown Google signing key." },
+    };
+  }
+
+  try {
+    const payload = jwt.verify(idToken, key, {
+      algorithms: ["RS256"],
+      audience,
+      issuer: GOOGLE_ISSUERS,
+    });
+
+    if (!payload.sub || !payload.email) {
+      return {
+        error: { statusCode: 401, message: "Invalid Google ID token." },
+      };
+    }
+
+    if (payload.email_verified !== true && payload.email_verified !== "true") {
+      return {
+        error: { statusCode: 401, message: "Google email is not verified." },
+      };
+    }
+
+    return { payload };
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return {
+        error: { statusCode: 401, message: "Google ID token expired." },
+      };
+    }
+
+    return { error: { statusCode: 401, message: "Invalid Google ID token." } };
+  }
+};
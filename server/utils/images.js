@@ -0,0 +1,192 @@
+import crypto from "crypto";
+import multer from "multer";
+import sharp from "sharp";
+import Business from "../models/business.model.js";
+import Item from "../models/item.model.js";
+import Upload from "../models/upload.model.js";
+import { putFile, removeFile } from "./storage.js";
+import { sendError } from "./response.js";
+
+export const IMAGE_FOLDERS = ["logos", "businesses", "items"];
+
+// MIME type -> file extension
+const IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+// sharp format -> MIME type, used to check the actual file contents
+const SHARP_FORMATS = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+// Longest side in pixels
+export const THUMBNAIL_SIZES = {
+  small: 150,
+  medium: 400,
+  large: 800,
+};
+
+// Uploads are kept this long before an unreferenced one counts as orphaned,
+// giving clients time to attach it to a business or item.
+const ORPHAN_GRACE_HOURS = 24;
+
+export const getMaxImageBytes = () =>
+  Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Parses a single multipart "image" field into req.file (kept in memory)
+export const parseImageUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxImageBytes(), files: 1 },
+    fileFilter: (req, file, callback) => {
+      if (!IMAGE_TYPES[file.mimetype]) {
+        const error = new Error("Unsupported image type");
+        error.code = "UNSUPPORTED_IMAGE_TYPE";
+        return callback(error);
+      }
+      callback(null, true);
+    },
+  }).single("image");
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return sendError(
+        res,
+        413,
+        `Image must be at most ${getMaxImageBytes()} bytes.`
+      );
+    }
+    if (error.code === "UNSUPPORTED_IMAGE_TYPE") {
+      return sendError(
+        res,
+        415,
+        `Image must be one of: ${Object.keys(IMAGE_TYPES).join(", ")}.`
+      );
+    }
+    if (error instanceof multer.MulterError) {
+      return sendError(res, 400, error.message);
+    }
+    next(error);
+  });
+};
+
+// Stores the original and its webp thumbnails. Returns the Upload document,
+// or { error: { statusCode, message } } when the bytes are not a supported
+// image whatever the declared MIME type.
+export const storeImage = async (file, folder, userId) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch {
+    metadata = null;
+  }
+
+  const contentType = SHARP_FORMATS[metadata?.format];
+  if (!contentType) {
+    return {
+      error: { statusCode: 415, message: "File is not a supported image." },
+    };
+  }
+
+  const id = crypto.randomUUID();
+  const originalKey = `${folder}/${id}/original.${IMAGE_TYPES[contentType]}`;
+  // Keys written so far, removed again if a later step fails, since no
+  // Upload document would point the cleanup at them
+  const keys = [];
+
+  try {
+    const url = await putFile(originalKey, file.buffer, contentType);
+    keys.push(originalKey);
+
+    const thumbnails = {};
+    for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+      const key = `${folder}/${id}/${name}.webp`;
+      const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(size, size, { fit: "inside", withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+
+      thumbnails[name] = await putFile(key, thumbnail, "image/webp");
+      keys.push(key);
+    }
+
+    const upload = await Upload.create({
+      userId,
+      folder,
+      url,
+      thumbnails,
+      keys,
+      contentType,
+      size: file.size,
+      width: metadata.width,
+      height: metadata.height,
+    });
+
+    return { upload };
+  } catch (error) {
+    await Promise.allSettled(keys.map((key) => removeFile(key)));
+    throw error;
+  }
+};
+
+// Clients may store a thumbnail URL instead of the original
+const uploadUrls = (upload) => [
+  upload.url,
+  ...Object.keys(THUMBNAIL_SIZES)
+    .map((name) => upload.thumbnails?.[name])
+    .filter(Boolean),
+];
+
+// Which of `urls` a business or item, soft-deleted ones included, refers to
+const findReferencedUrls = async (urls) => {
+  const [businesses, items] = await Promise.all([
+    Business.find({ $or: [{ logo: { $in: urls } }, { image: { $in: urls } }] })
+      .setOptions({ withDeleted: true })
+      .select("logo image"),
+    Item.find({ image: { $in: urls } })
+      .setOptions({ withDeleted: true })
+      .select("image"),
+  ]);
+
+  return new Set([
+    ...businesses.flatMap((business) => [business.logo, business.image]),
+    ...items.map((item) => item.image),
+  ]);
+};
+
+export const isUploadInUse = async (upload) => {
+  const urls = uploadUrls(upload);
+  const referenced = await findReferencedUrls(urls);
+
+  return urls.some((url) => referenced.has(url));
+};
+
+export const deleteUpload = async (upload) => {
+  await Promise.all(upload.keys.map((key) => removeFile(key)));
+  await Upload.deleteOne({ _id: upload._id });
+};
+
+// Removes uploads older than the grace period that nothing refers to. Runs
+// after the daily purge so the images of purged records go with them.
+export const cleanupOrphanedUploads = async () => {
+  const cutoff = new Date(Date.now() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000);
+  const uploads = await Upload.find({ createdAt: { $lte: cutoff } });
+  if (uploads.length === 0) return 0;
+
+  const referenced = await findReferencedUrls(uploads.flatMap(uploadUrls));
+  const orphans = uploads.filter(
+    (upload) => !uploadUrls(upload).some((url) => referenced.has(url))
+  );
+  for (const upload of orphans) {
+    await deleteUpload(upload);
+  }
+
+  return orphans.length;
+};
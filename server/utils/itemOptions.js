@@ -0,0 +1,190 @@
+import mongoose from "mongoose";
+
+export const OPTION_GROUP_TYPES = ["single", "multiple"];
+
+// Returns an error message, or null when the option groups are valid
+export const validateOptionGroups = (optionGroups) => {
+  if (!Array.isArray(optionGroups)) {
+    return "Option groups must be an array.";
+  }
+
+  for (const group of optionGroups) {
+    if (!group?.name) {
+      return "Option group name is required.";
+    }
+
+    const type = group.type ?? "single";
+    if (!OPTION_GROUP_TYPES.includes(type)) {
+      return `Option group type must be one of: ${OPTION_GROUP_TYPES.join(", ")}.`;
+    }
+
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      return `Option group ${group.name} needs at least one option.`;
+    }
+
+    if (
+      group.maxSelect != null &&
+      (type !== "multiple" ||
+        !Number.isInteger(group.maxSelect) ||
+        group.maxSelect < 1)
+    ) {
+      return `Option group ${group.name} maxSelect must be a positive whole number on a multiple choice group.`;
+    }
+
+    for (const option of group.options) {
+      if (!option?.name) {
+        return `Option name is required in group ${group.name}.`;
+      }
+      if (
+        option.priceDelta != null &&
+        (typeof option.priceDelta !== "number" ||
+          !Number.isFinite(option.priceDelta))
+      ) {
+        return `Option ${option.name} priceDelta must be a number.`;
+      }
+      if (
+        option.stock != null &&
+        (!Number.isInteger(option.stock) || option.stock < 0)
+      ) {
+        return `Option ${option.name} stock must be a non-negative whole number.`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Matches each incoming group or option to a current one by _id, or by name
+// when it has no _id. Each current one is matched at most once.
+const matchExisting = (current = [], incoming) => {
+  const used = new Set();
+
+  return incoming.map((entry) => {
+    const match = current.find(
+      (doc) =>
+        !used.has(doc._id.toString()) &&
+        (entry._id != null
+          ? doc._id.toString() === String(entry._id)
+          : doc.name === entry.name)
+    );
+    if (match) used.add(match._id.toString());
+    return match;
+  });
+};
+
+// Option groups sent on update, merged into the item's current ones. Matched
+// groups and options keep their IDs, which orders and restocks refer to, and
+// options keep their stock unless it is sent. Unmatched ones get new IDs.
+export const mergeOptionGroups = (currentGroups, optionGroups) => {
+  const groupMatches = matchExisting(currentGroups, optionGroups);
+
+  return optionGroups.map(({ _id, options, ...group }, groupIndex) => {
+    const currentGroup = groupMatches[groupIndex];
+    const optionMatches = matchExisting(currentGroup?.options, options);
+
+    return {
+      ...group,
+      ...(currentGroup && { _id: currentGroup._id }),
+      options: options.map(({ _id: optionId, ...option }, optionIndex) => {
+        const currentOption = optionMatches[optionIndex];
+
+        return {
+          ...option,
+          ...(currentOption && { _id: currentOption._id }),
+          stock:
+            option.stock !== undefined
+              ? option.stock
+              : (currentOption?.stock ?? null),
+        };
+      }),
+    };
+  });
+};
+
+// Resolves the option IDs chosen for one order line against the item's
+// option groups. Returns { options, priceDelta } where `options` is a
+// snapshot for the order, or { error: { statusCode, message } }.
+export const resolveItemOptions = (item, optionIds = []) => {
+  if (!Array.isArray(optionIds)) {
+    return {
+      error: { statusCode: 400, message: "Options must be an array." },
+    };
+  }
+
+  if (new Set(optionIds.map(String)).size !== optionIds.length) {
+    return {
+      error: {
+        statusCode: 400,
+        message: `Options must not repeat for item: ${item.name}`,
+      },
+    };
+  }
+
+  const options = [];
+  let priceDelta = 0;
+
+  for (const group of item.optionGroups || []) {
+    const selected = group.options.filter((option) =>
+      optionIds.some((optionId) => String(optionId) === option._id.toString())
+    );
+
+    const maxSelect =
+      group.type === "multiple" ? (group.maxSelect ?? Infinity) : 1;
+
+    if (group.required && selected.length === 0) {
+      return {
+        error: {
+          statusCode: 400,
+          message: `${group.name} is required for item: ${item.name}`,
+        },
+      };
+    }
+
+    if (selected.length > maxSelect) {
+      return {
+        error: {
+          statusCode: 400,
+          message: `Choose at most ${maxSelect} ${group.name} for item: ${item.name}`,
+        },
+      };
+    }
+
+    for (const option of selected) {
+      if (option.status !== "active") {
+        return {
+          error: {
+            statusCode: 409,
+            message: `Option is not available: ${option.name}`,
+          },
+        };
+      }
+
+      options.push({
+        groupId: group._id,
+        groupName: group.name,
+        optionId: option._id,
+        name: option.name,
+        priceDelta: option.priceDelta,
+      });
+      priceDelta += option.priceDelta;
+    }
+  }
+
+  // Any ID left unmatched does not belong to this item
+  if (options.length !== optionIds.length) {
+    const unknownId = optionIds.find(
+      (optionId) =>
+        !options.some((o) => o.optionId.toString() === String(optionId))
+    );
+    return {
+      error: {
+        statusCode: 400,
+        message: mongoose.Types.ObjectId.isValid(unknownId)
+          ? `Option not found for item ${item.name}: ${unknownId}`
+          : "Invalid Option ID format.",
+      },
+    };
+  }
+
+  return { options, priceDelta };
+};
@@ -0,0 +1,64 @@
+import LoginThrottle from "../models/loginThrottle.model.js";
+
+export const ACCOUNT_MAX_ATTEMPTS = 5;
+export const IP_MAX_ATTEMPTS = 20;
+
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+// Failure counters start over after a day without failures
+const RESET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Unknown identifiers are tracked too so lockouts reveal nothing about
+// which accounts exist.
+export const accountThrottleKey = (user, usernameOrEmail) =>
+  user
+    ? `user:${user._id}`
+    : `identifier:${usernameOrEmail.trim().toLowerCase()}`;
+
+export const ipThrottleKey = (ip) => `ip:${ip}`;
+
+// Returns the latest lockedUntil among the keys, or null when none is locked
+export const getLockedUntil = async (keys) => {
+  const locked = await LoginThrottle.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() },
+  })
+    .sort({ lockedUntil: -1 })
+    .limit(1);
+
+  return locked.length > 0 ? locked[0].lockedUntil : null;
+};
+
+// Counts a failed attempt and locks the key once maxAttempts is reached. The
+// lock doubles with every further failure: 1 min, 2 min, 4 min... up to 24 h.
+export const recordFailedLogin = async (key, maxAttempts) => {
+  const now = new Date();
+
+  await LoginThrottle.updateOne(
+    { key, lastFailedAt: { $lt: new Date(now.getTime() - RESET_AFTER_MS) } },
+    { failedCount: 0, lockedUntil: null }
+  );
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    { $inc: { failedCount: 1 }, $set: { lastFailedAt: now } },
+    { upsert: true, new: true }
+  );
+
+  if (throttle.failedCount >= maxAttempts) {
+    const lockMs = Math.min(
+      BASE_LOCK_MS * 2 ** (throttle.failedCount - maxAttempts),
+      MAX_LOCK_MS
+    );
+    throttle.lockedUntil = new Date(now.getTime() + lockMs);
+    await throttle.save();
+  }
+
+  return throttle;
+};
+
+export const clearFailedLogins = async (key) => {
+  await LoginThrottle.deleteOne({ key });
+};
+
+export const getLoginThrottle = async (key) => LoginThrottle.findOne({ key });
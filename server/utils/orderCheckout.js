@@ -0,0 +1,80 @@
+import Order from "../models/order.model.js";
+import { buildOrderItems } from "./orderItems.js";
+import { checkAcceptingOrders } from "./businessHours.js";
+import { releaseStock, reserveStock } from "./stock.js";
+import { emitOrderEvent } from "./socketioFunctions.js";
+import { notifyOrderEvent } from "./orderNotifications.js";
+import { parsePhoneField } from "./phone.js";
+
+// Saves an order whose stock is already reserved, giving the stock back when
+// the save fails.
+export const saveReservedOrder = async (order) => {
+  try {
+    await order.save();
+  } catch (error) {
+    await releaseStock(order.items);
+    throw error;
+  }
+};
+
+// Validates and places a customer order: checks the phone number and that
+// the business accepts orders, prices the lines from the menu, reserves
+// stock and saves. Shared by the
+// staff order form, the public checkout and the Telegram bot.
+// Returns { order } populated for responses, or { error } ready for sendError.
+export const placeOrder = async (
+  business,
+  { name, phone, address, items, note },
+  { changedBy, reason, trackingTokenHash } = {}
+) => {
+  const {
+    e164,
+    display,
+    error: phoneError,
+  } = parsePhoneField("phone", phone, business.phoneRegion);
+  if (phoneError) {
+    return { error: phoneError };
+  }
+
+  const closedError = checkAcceptingOrders(business);
+  if (closedError) {
+    return { error: closedError };
+  }
+
+  const { orderItems, total, error } = await buildOrderItems(business, items);
+  if (error) {
+    return { error };
+  }
+
+  // Take stock before saving so concurrent orders cannot oversell
+  const stockError = await reserveStock(business, orderItems);
+  if (stockError) {
+    return { error: stockError };
+  }
+
+  const newOrder = new Order({
+    name,
+    phone: e164,
+    phoneDisplay: display,
+    address,
+    business: business._id,
+    items: orderItems,
+    total,
+    note: note || "",
+    status: "pending",
+    statusHistory: [{ to: "pending", changedBy, reason }],
+    trackingTokenHash,
+  });
+
+  await saveReservedOrder(newOrder);
+
+  const populatedOrder = await Order.findById(newOrder._id)
+    .populate("business", "name description")
+    .populate("items.itemId", "name price");
+
+  emitOrderEvent("orderCreated", business._id, populatedOrder);
+  // Not awaited: Telegram retries must not hold up the response
+  notifyOrderEvent("orderCreated", populatedOrder);
+
+  return { order: populatedOrder };
+};
@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import Category from "../models/category.model.js";
+import Item from "../models/item.model.js";
+import { resolveItemOptions } from "./itemOptions.js";
+import { isCategoryAvailable } from "./businessHours.js";
+
+// An item can be ordered only while its category, and the parent category
+// of a sub-menu, is active and inside its availability window. Returns null
+// or { statusCode, message }.
+export const checkItemCategoryAvailable = async (item, business) => {
+  const category = await Category.findById(item.categoryId).populate(
+    "parentId",
+    "status availableHours"
+  );
+  const categories = [category, category?.parentId].filter(Boolean);
+
+  if (
+    !category ||
+    categories.some(
+      (c) => c.status !== "active" || !isCategoryAvailable(c, business)
+    )
+  ) {
+    return {
+      statusCode: 409,
+      message: `Item is not available right now: ${item.name}`,
+    };
+  }
+
+  return null;
+};
+
+export const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Resolves requested order lines against the business menu. Prices always
+// come from the Item document and its chosen options; any client supplied
+// price is ignored.
+// Returns { orderItems, total } or { error: { statusCode, message } }.
+export const buildOrderItems = async (business, items) => {
+  const orderItems = [];
+  let total = 0;
+
+  for (const item of items) {
+    if (!mongoose.Types.ObjectId.isValid(item.itemId)) {
+      return { error: { statusCode: 400, message: "Invalid Item ID format." } };
+    }
+
+    const quantity = item.quantity ?? 1;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return {
+        error: {
+          statusCode: 400,
+          message: "Quantity must be a positive whole number.",
+        },
+      };
+    }
+
+    const dbItem = await Item.findById(item.itemId);
+    if (!dbItem || dbItem.businessId.toString() !== business._id.toString()) {
+      return {
+        error: {
+          statusCode: 404,
+          message: `Item not found: ${item.itemId}`,
+        },
+      };
+    }
+
+    if (dbItem.status !== "active") {
+      return {
+        error: {
+          statusCode: 409,
+          message: `Item is not available: ${dbItem.name}`,
+        },
+      };
+    }
+
+    const categoryError = await checkItemCategoryAvailable(dbItem, business);
+    if (categoryError) {
+      return { error: categoryError };
+    }
+
+    const { options, priceDelta, error } = resolveItemOptions(
+      dbItem,
+      item.optionIds
+    );
+    if (error) {
+      return { error };
+    }
+
+    const unitPrice = roundPrice(dbItem.price + priceDelta);
+    const itemTotal = roundPrice(unitPrice * quantity);
+
+    orderItems.push({
+      itemId: dbItem._id,
+      name: dbItem.name,
+      price: dbItem.price,
+      unitPrice,
+      quantity,
+      options,
+      total: itemTotal,
+    });
+
+    total += itemTotal;
+  }
+
+  return { orderItems, total: roundPrice(total) };
+};
+
+// Recomputes the line and order totals of a stored order from the prices
+// copied onto its lines. Lines without a copied price were priced before
+// prices came only from the menu, so their unit price must match the current
+// menu price; a missing item or a different price makes them invalid.
+export const verifyOrderTotals = async (order) => {
+  const dbItems = await Item.find({
+    _id: { $in: order.items.map((line) => line.itemId) },
+  }).setOptions({ withDeleted: true });
+  const itemsById = new Map(dbItems.map((item) => [item._id.toString(), item]));
+
+  const items = order.items.map((line) => {
+    const optionsDelta = line.options.reduce(
+      (sum, option) => sum + option.priceDelta,
+      0
+    );
+    const unitPrice =
+      line.price != null
+        ? roundPrice(line.price + optionsDelta)
+        : roundPrice(line.unitPrice);
+    const total = roundPrice(unitPrice * line.quantity);
+
+    // Current options are looked up by ID; removed options count as zero
+    const dbItem = itemsById.get(line.itemId.toString());
+    const menuUnitPrice = dbItem
+      ? roundPrice(
+          line.options.reduce((sum, chosen) => {
+            const option = dbItem.optionGroups
+              .id(chosen.groupId)
+              ?.options.id(chosen.optionId);
+            return sum + (option?.priceDelta ?? 0);
+          }, dbItem.price)
+        )
+      : null;
+
+    const priceMatchesMenu =
+      menuUnitPrice !== null && menuUnitPrice === roundPrice(line.unitPrice);
+
+    return {
+      _id: line._id,
+      itemId: line.itemId,
+      name: line.name ?? dbItem?.name ?? null,
+      quantity: line.quantity,
+      hasPriceSnapshot: line.price != null,
+      stored: { unitPrice: line.unitPrice, total: line.total },
+      computed: { unitPrice, total },
+      menuUnitPrice,
+      priceMatchesMenu,
+      valid:
+        (line.price != null || priceMatchesMenu) &&
+        Number.isInteger(line.quantity) &&
+        line.quantity >= 1 &&
+        unitPrice === roundPrice(line.unitPrice) &&
+        total === roundPrice(line.total),
+    };
+  });
+
+  const total = roundPrice(
+    items.reduce((sum, line) => sum + line.computed.total, 0)
+  );
+
+  return {
+    valid:
+      items.every((line) => line.valid) && total === roundPrice(order.total),
+    stored: { total: order.total },
+    computed: { total },
+    items,
+  };
+};
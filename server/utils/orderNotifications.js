@@ -0,0 +1,145 @@
+import Business from "../models/business.model.js";
+import OrderNotification from "../models/orderNotification.model.js";
+import {
+  escapeHtml,
+  formatPrice,
+  isTelegramBotConfigured,
+  REQUEST_TIMEOUT_MS,
+  sendTelegramMessage,
+} from "./telegramBot.js";
+
+const getMaxAttempts = () => Number(process.env.TELEGRAM_MAX_ATTEMPTS) || 3;
+const getRetryDelay = () => Number(process.env.TELEGRAM_RETRY_DELAY_MS) || 1000;
+// Longest wait between attempts, also when Telegram asks for a longer one
+const getMaxRetryWait = () => getRetryDelay() * 2 ** getMaxAttempts();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Order summary in Bot API HTML. Lines without a name snapshot need
+// items.itemId populated with names.
+export const formatOrderSummary = (event, order, business) => {
+  const latest = order.statusHistory?.[order.statusHistory.length - 1];
+  const heading =
+    event === "orderCreated"
+      ? `<b>New order</b> at ${escapeHtml(business.name)}`
+      : `<b>Order ${escapeHtml(latest?.from)} → ${escapeHtml(order.status)}</b> at ${escapeHtml(business.name)}`;
+
+  const lines = [
+    heading,
+    `Order #${order._id.toString().slice(-6)}`,
+    `Status: ${escapeHtml(order.status)}`,
+  ];
+  if (event === "orderStatusChanged" && latest?.reason) {
+    lines.push(`Reason: ${escapeHtml(latest.reason)}`);
+  }
+
+  lines.push(
+    "",
+    `Customer: ${escapeHtml(order.name)}`,
+    `Phone: ${escapeHtml(order.phoneDisplay || order.phone)}`,
+    `Address: ${escapeHtml(order.address)}`,
+    ""
+  );
+
+  for (const item of order.items) {
+    const options = item.options.map((option) => option.name).join(", ");
+    lines.push(
+      `${item.quantity} × ${escapeHtml(item.name || item.itemId?.name || "Deleted item")}` +
+        (options ? ` (${escapeHtml(options)})` : "") +
+        ` — ${formatPrice(item.total)}`
+    );
+  }
+
+  lines.push("", `<b>Total: ${formatPrice(order.total)}</b>`);
+  if (order.note) lines.push(`Note: ${escapeHtml(order.note)}`);
+
+  return lines.join("\n");
+};
+
+// Sends with exponential backoff, waiting longer when Telegram asks to
+const deliver = async (notification, text) => {
+  const maxAttempts = getMaxAttempts();
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    notification.attempts = attempt;
+    try {
+      const message = await sendTelegramMessage(notification.chatId, text);
+      notification.status = "sent";
+      notification.messageId = message.message_id;
+      notification.deliveredAt = new Date();
+      return;
+    } catch (error) {
+      notification.error = error.message;
+      if (!error.retryable || attempt === maxAttempts) break;
+
+      await sleep(
+        Math.min(
+          error.retryAfter
+            ? error.retryAfter * 1000
+            : getRetryDelay() * 2 ** (attempt - 1),
+          getMaxRetryWait()
+        )
+      );
+    }
+  }
+
+  notification.status = "failed";
+};
+
+// Retries run in memory, so a restart leaves their records pending. Marks as
+// failed the pending records older than the longest possible delivery.
+export const failStaleNotifications = async () => {
+  const staleAfterMs =
+    getMaxAttempts() * (REQUEST_TIMEOUT_MS + getMaxRetryWait());
+
+  const { modifiedCount } = await OrderNotification.updateMany(
+    {
+      status: "pending",
+      updatedAt: { $lt: new Date(Date.now() - staleAfterMs) },
+    },
+    {
+      status: "failed",
+      error: "Delivery was interrupted before it finished",
+    }
+  );
+
+  return modifiedCount;
+};
+
+// Posts the order summary to the business's linked Telegram chat and records
+// the outcome. Never throws, so callers need not await it.
+export const notifyOrderEvent = async (event, order) => {
+  try {
+    const business = await Business.findById(
+      order.business._id || order.business
+    )
+      .setOptions({ withDeleted: true })
+      .populate("telegramId");
+    if (!business) return null;
+
+    const telegram = business.telegramId;
+    const notification = new OrderNotification({
+      orderId: order._id,
+      businessId: business._id,
+      telegramId: telegram?._id,
+      chatId: telegram?.chatId,
+      event,
+    });
+
+    if (!telegram?.chatId) {
+      notification.status = "skipped";
+      notification.error = "The business Telegram chat is not linked";
+    } else if (!isTelegramBotConfigured()) {
+      notification.status = "skipped";
+      notification.error = "The Telegram bot is not configured";
+    } else {
+      await notification.save();
+      await deliver(notification, formatOrderSummary(event, order, business));
+    }
+
+    return await notification.save();
+  } catch (error) {
+    console.error(`Failed to notify ${event} for order ${order._id}`, error);
+    return null;
+  }
+};
@@ -0,0 +1,16 @@
+// Allowed order status transitions. Completed and canceled orders are final.
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ["processing", "canceled"],
+  processing: ["shipped", "completed", "canceled"],
+  shipped: ["completed", "canceled"],
+  completed: [],
+  canceled: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+export const canTransitionOrderStatus = (from, to) =>
+  (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+export const isFinalOrderStatus = (status) =>
+  (ORDER_STATUS_TRANSITIONS[status] || []).length === 0;
@@ -0,0 +1,148 @@
+import Business from "../models/business.model.js";
+import BusinessMember from "../models/businessMember.model.js";
+
+// Permissions granted through Role.permissions. A plain permission applies to
+// the user's own businesses; the ":any" variant applies to every business.
+// "*" grants everything.
+export const PERMISSIONS = [
+  "businesses:read:any",
+  "businesses:write",
+  "businesses:write:any",
+  "categories:write",
+  "categories:write:any",
+  "data:purge",
+  "items:write",
+  "items:write:any",
+  "members:manage",
+  "orders:delete",
+  "orders:delete:any",
+  "orders:read",
+  "orders:read:any",
+  "orders:write",
+  "orders:write:any",
+  "quotas:bypass",
+  "roles:manage",
+  "subscription-plans:manage",
+  "telegrams:read:any",
+  "telegrams:write:any",
+  "uploads:delete:any",
+  "users:manage",
+];
+
+export const ALL_PERMISSIONS = "*";
+
+export const DEFAULT_ROLES = [
+  {
+    name: "Admin",
+    slug: "admin",
+    description: "Full access to every resource",
+    permissions: [ALL_PERMISSIONS],
+  },
+  {
+    name: "User",
+    slug: "user",
+    description: "Business owner managing their own menus and orders",
+    permissions: [
+      "businesses:write",
+      "categories:write",
+      "items:write",
+      "orders:delete",
+      "orders:read",
+      "orders:write",
+    ],
+  },
+  {
+    name: "Support",
+    slug: "support",
+    description: "Read-only access to every business and order",
+    permissions: ["businesses:read:any", "orders:read", "orders:read:any"],
+  },
+];
+
+// Permissions a BusinessMember role grants on its own business only
+export const BUSINESS_MEMBER_PERMISSIONS = {
+  manager: [
+    "categories:write",
+    "items:write",
+    "members:manage",
+    "orders:delete",
+    "orders:read",
+    "orders:write",
+  ],
+  cashier: ["orders:read", "orders:write"],
+  kitchen: ["orders:read", "orders:write"],
+};
+
+export const BUSINESS_MEMBER_ROLES = Object.keys(BUSINESS_MEMBER_PERMISSIONS);
+
+export const isValidPermission = (permission) =>
+  permission === ALL_PERMISSIONS || PERMISSIONS.includes(permission);
+
+// `user.roleId` must be populated with its permissions
+export const hasPermission = (user, permission) => {
+  const permissions = user?.roleId?.permissions || [];
+
+  return (
+    permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission)
+  );
+};
+
+// Attaches the user's active business memberships, read by the helpers below
+export const loadBusinessMemberships = async (user) => {
+  user.$locals.memberships = await BusinessMember.find({
+    userId: user._id,
+    status: "active",
+  }).select("businessId role");
+
+  return user;
+};
+
+export const getBusinessMembership = (user, businessId) =>
+  (user?.$locals?.memberships || []).find(
+    (membership) => membership.businessId.toString() === businessId.toString()
+  );
+
+// True when the user holds `permission:any`, holds `permission` and owns the
+// business, or is a member whose business role grants `permission`. A
+// missing business is only accessible through `permission:any`.
+export const canAccessBusiness = (user, business, permission) => {
+  if (!user) return false;
+  if (hasPermission(user, `${permission}:any`)) return true;
+  if (!business) return false;
+
+  const ownerId = business.userId?._id ?? business.userId;
+  if (
+    hasPermission(user, permission) &&
+    ownerId?.toString() === user._id.toString()
+  ) {
+    return true;
+  }
+
+  const membership = getBusinessMembership(user, business._id);
+  return !!BUSINESS_MEMBER_PERMISSIONS[membership?.role]?.includes(permission);
+};
+
+// IDs of businesses the user owns (when holding `permission`) or belongs to
+// with a role granting `permission`. Without `permission` every owned and
+// member business is returned.
+export const getAccessibleBusinessIds = async (user, permission) => {
+  const ownedBusinesses =
+    !permission || hasPermission(user, permission)
+      ? await Business.find({ userId: user._id }).select("_id")
+      : [];
+
+  const memberBusinessIds = (user.$locals?.memberships || [])
+    .filter(
+      (membership) =>
+        !permission ||
+        BUSINESS_MEMBER_PERMISSIONS[membership.role]?.includes(permission)
+    )
+    .map((membership) => membership.businessId.toString());
+
+  return [
+    ...new Set([
+      ...ownedBusinesses.map((b) => b._id.toString()),
+      ...memberBusinessIds,
+    ]),
+  ];
+};
@@ -0,0 +1,52 @@
+import {
+  isSupportedCountry,
+  parsePhoneNumberFromString,
+} from "libphonenumber-js";
+
+// Region used to read numbers dialled without a country code
+export const DEFAULT_PHONE_REGION = "KH";
+
+export const isValidPhoneRegion = (region) =>
+  typeof region === "string" && isSupportedCountry(region);
+
+// Parses `value` as dialled in `region`, so local numbers such as
+// 012 345 678 work without the country code. Returns { e164, display }, the
+// display format being national for numbers of the region and international
+// otherwise, or null when the number is not valid.
+export const normalizePhone = (value, region = DEFAULT_PHONE_REGION) => {
+  if (typeof value !== "string" || !value.trim()) return null;
+
+  const phoneNumber = parsePhoneNumberFromString(value, region);
+  if (!phoneNumber?.isValid()) return null;
+
+  return {
+    e164: phoneNumber.number,
+    display:
+      phoneNumber.country === region
+        ? phoneNumber.formatNational()
+        : phoneNumber.formatInternational(),
+  };
+};
+
+// Normalizes the phone in request field `field`. Returns { e164, display }
+// or { error } with a field-level message, ready to be passed to sendError.
+export const parsePhoneField = (
+  field,
+  value,
+  region = DEFAULT_PHONE_REGION
+) => {
+  const phone = normalizePhone(value, region);
+  if (phone) return phone;
+
+  return {
+    error: {
+      statusCode: 400,
+      message: "Invalid phone number.",
+      error: {
+        fields: {
+          [field]: `Must be a valid phone number. Numbers outside ${region} need their country code.`,
+        },
+      },
+    },
+  };
+};
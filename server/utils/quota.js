@@ -0,0 +1,118 @@
+import Business from "../models/business.model.js";
+import Category from "../models/category.model.js";
+import Item from "../models/item.model.js";
+import UserSubscriptionPlan from "../models/userSubscriptionPlan.model.js";
+
+// Resource name -> SubscriptionPlan limit field
+export const QUOTA_LIMITS = {
+  business: "maxBusiness",
+  category: "maxCategory",
+  item: "maxItem",
+};
+
+export const getActiveSubscription = async (userId) => {
+  const now = new Date();
+
+  return UserSubscriptionPlan.findOne({
+    userId,
+    status: "active",
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+  })
+    .sort({ startDate: -1 })
+    .populate("subscriptionPlanId");
+};
+
+export const getUsage = async (userId) => {
+  const businesses = await Business.find({ userId }).select("_id");
+  const businessIds = businesses.map((b) => b._id);
+
+  const [totalCategories, totalItems] = await Promise.all([
+    Category.countDocuments({ businessId: { $in: businessIds } }),
+    Item.countDocuments({ businessId: { $in: businessIds } }),
+  ]);
+
+  return {
+    business: businesses.length,
+    category: totalCategories,
+    item: totalItems,
+  };
+};
+
+const formatPlan = (plan) => ({
+  _id: plan._id,
+  name: plan.name,
+  slug: plan.slug,
+});
+
+// Returns null when the owner may create one more `resource`, otherwise an
+// error descriptor ready to be passed to sendError.
+export const checkQuota = async (userId, resource) => {
+  const limitField = QUOTA_LIMITS[resource];
+  const subscription = await getActiveSubscription(userId);
+  const plan = subscription?.subscriptionPlanId;
+
+  if (!plan) {
+    return {
+      statusCode: 402,
+      message: "An active subscription plan is required.",
+      error: {
+        resource,
+        limit: limitField,
+        current: null,
+        max: null,
+        plan: null,
+      },
+    };
+  }
+
+  const usage = await getUsage(userId);
+  const current = usage[resource];
+  const max = plan[limitField];
+
+  if (current >= max) {
+    return {
+      statusCode: 403,
+      message: `Subscription plan limit reached: ${current} of ${max} ${resource} quota used.`,
+      error: {
+        resource,
+        limit: limitField,
+        current,
+        max,
+        plan: formatPlan(plan),
+      },
+    };
+  }
+
+  return null;
+};
+
+export const getUsageSummary = async (userId) => {
+  const [subscription, usage] = await Promise.all([
+    getActiveSubscription(userId),
+    getUsage(userId),
+  ]);
+  const plan = subscription?.subscriptionPlanId;
+
+  const quotas = {};
+  for (const [resource, limitField] of Object.entries(QUOTA_LIMITS)) {
+    const max = plan ? plan[limitField] : 0;
+    quotas[resource] = {
+      used: usage[resource],
+      max,
+      remaining: Math.max(max - usage[resource], 0),
+    };
+  }
+
+  return {
+    plan: plan ? formatPlan(plan) : null,
+    subscription: subscription
+      ? {
+          _id: subscription._id,
+          startDate: subscription.startDate,
+          endDate: subscription.endDate,
+        }
+      : null,
+    usage: quotas,
+  };
+};
@@ -0,0 +1,27 @@
+import Role from "../models/role.model.js";
+import { DEFAULT_ROLES } from "./permissions.js";
+
+// Creates the default roles if missing and gives roles saved before
+// permissions existed their default permission list. Permissions edited
+// through the API are left untouched.
+export const seedDefaultRoles = async () => {
+  for (const role of DEFAULT_ROLES) {
+    await Role.updateOne(
+      { slug: role.slug },
+      {
+        $setOnInsert: {
+          name: role.name,
+          description: role.description,
+          status: "active",
+          permissions: role.permissions,
+        },
+      },
+      { upsert: true }
+    );
+
+    await Role.updateOne(
+      { slug: role.slug, permissions: { $exists: false } },
+      { $set: { permissions: role.permissions } }
+    );
+  }
+};
@@ -0,0 +1,40 @@
+import crypto from "crypto";
+
+// Lowercase, URL-safe slug: runs of anything other than a-z/0-9 become "-"
+export const slugify = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Fallback for values without a-z/0-9, e.g. names written only in Khmer
+export const randomSlug = (prefix) =>
+  `${prefix}-${crypto.randomBytes(3).toString("hex")}`;
+
+// Returns the slug of `value`, suffixed with -2, -3... when already taken by
+// a document matching `scope`. Soft-deleted documents keep their slugs, so
+// they count as taken.
+export const generateUniqueSlug = async (
+  Model,
+  value,
+  { scope = {}, excludeId, fallback = "item" } = {}
+) => {
+  const base = slugify(value) || fallback;
+
+  const existing = await Model.find({
+    ...scope,
+    slug: { $regex: `^${base}(-\\d+)?$` },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  })
+    .setOptions({ withDeleted: true })
+    .select("slug");
+  const taken = new Set(existing.map((doc) => doc.slug));
+
+  if (!taken.has(base)) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+
+  return `${base}-${suffix}`;
+};
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+import Business from "../models/business.model.js";
+import {
+  ALL_PERMISSIONS,
+  canAccessBusiness,
+  getAccessibleBusinessIds,
+  hasPermission,
+} from "./permissions.js";
+
+export const ADMIN_ROOM = "admin";
+
+export const userRoom = (userId) => `user:${userId}`;
+
+export const businessRoom = (businessId) => `business:${businessId}`;
+
+// Sockets of users who manage a business's members
+export const businessManagersRoom = (businessId) =>
+  `business:${businessId}:managers`;
+
+// Returns the rooms of the business the user may join
+const getSubscribableRooms = async (user, businessId) => {
+  if (!mongoose.Types.ObjectId.isValid(businessId)) return [];
+
+  const business = await Business.findById(businessId).select("userId");
+  if (!canAccessBusiness(user, business, "orders:read")) return [];
+
+  return canAccessBusiness(user, business, "members:manage")
+    ? [businessRoom(businessId), businessManagersRoom(businessId)]
+    : [businessRoom(businessId)];
+};
+
+// Joins an authenticated socket to its own rooms and lets it subscribe to
+// the rooms of businesses it is allowed to see (e.g. a kitchen screen).
+export const joinSocketRooms = async (socket) => {
+  const user = socket.data.user;
+
+  socket.on("subscribeBusiness", async (businessId, ack) => {
+    try {
+      const rooms = await getSubscribableRooms(user, businessId);
+      if (rooms.length) socket.join(rooms);
+      if (typeof ack === "function") ack({ success: rooms.length > 0 });
+    } catch (error) {
+      if (typeof ack === "function") ack({ success: false });
+    }
+  });
+
+  socket.on("unsubscribeBusiness", (businessId, ack) => {
+    socket.leave(businessRoom(businessId));
+    socket.leave(businessManagersRoom(businessId));
+    if (typeof ack === "function") ack({ success: true });
+  });
+
+  socket.join(userRoom(user._id));
+  if (hasPermission(user, ALL_PERMISSIONS)) socket.join(ADMIN_ROOM);
+
+  // Owned businesses and businesses where the user is a member
+  const [businessIds, managedBusinessIds] = await Promise.all([
+    getAccessibleBusinessIds(user),
+    getAccessibleBusinessIds(user, "members:manage"),
+  ]);
+  businessIds.forEach((businessId) => socket.join(businessRoom(businessId)));
+  managedBusinessIds.forEach((businessId) =>
+    socket.join(businessManagersRoom(businessId))
+  );
+};
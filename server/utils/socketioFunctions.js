@@ -1,33 +1,79 @@
 import { io } from "../index.js";
+import {
+  ADMIN_ROOM,
+  businessManagersRoom,
+  businessRoom,
+  userRoom,
+} from "./socketRooms.js";
+
+// Every event goes to an explicit set of rooms; nothing is broadcast to all
+// connected sockets.
+const emitToRooms = (rooms, event, data) => {
+  io.to(rooms).emit(event, data);
+};
+
+// Admin-only entities
 
 export const emitRoleEvent = (event, data) => {
-  io.emit(event, data);
+  emitToRooms([ADMIN_ROOM], event, data);
 };
 
 export const emitSubscriptionPlan = (event, data) => {
-  io.emit(event, data);
+  emitToRooms([ADMIN_ROOM], event, data);
+};
+
+// User-owned entities: the user and admins
+
+export const emitUserEvent = (event, userId, data) => {
+  emitToRooms([userRoom(userId), ADMIN_ROOM], event, data);
 };
 
-export const emitUserEvent = (event, data) => {
-  io.emit(event, data);
+export const emitTelegramEvent = (event, userId, data) => {
+  emitToRooms([userRoom(userId), ADMIN_ROOM], event, data);
+};
+
+export const emitUserSubscriptionPlan = (event, userId, data) => {
+  emitToRooms([userRoom(userId), ADMIN_ROOM], event, data);
+};
+
+// Business-scoped entities: the business room and admins. Business events
+// also reach the owner, whose sockets may not have joined a new business yet.
+
+export const emitBusinessEvent = (event, business, data) => {
+  emitToRooms(
+    [businessRoom(business._id), userRoom(business.userId), ADMIN_ROOM],
+    event,
+    data
+  );
 };
 
-export const emitTelegramEvent = (event, data) => {
-  io.emit(event, data);
+// Member events carry invitee emails, so they skip cashier and kitchen staff
+export const emitMemberEvent = (event, business, data) => {
+  emitToRooms(
+    [businessManagersRoom(business._id), userRoom(business.userId), ADMIN_ROOM],
+    event,
+    data
+  );
 };
 
-export const emitBusinessEvent = (event, data) => {
-  io.emit(event, data);
+export const emitCategoryEvent = (event, businessId, data) => {
+  emitToRooms([businessRoom(businessId), ADMIN_ROOM], event, data);
 };
 
-export const emitUserSubscriptionPlan = (event, data) => {
-  io.emit(event, data);
+export const emitItemEvent = (event, businessId, data) => {
+  emitToRooms([businessRoom(businessId), ADMIN_ROOM], event, data);
 };
 
-export const emitCategoryEvent = (event, data) => {
-  io.emit(event, data);
+// Stock alerts go to the business room and the owner
+export const emitStockAlert = (event, business, data) => {
+  emitToRooms(
+    [businessRoom(business._id), userRoom(business.userId)],
+    event,
+    data
+  );
 };
 
-export const emitItemEvent = (event, data) => {
-  io.emit(event, data);
+// Order events only reach sockets in the owning business room
+export const emitOrderEvent = (event, businessId, data) => {
+  emitToRooms([businessRoom(businessId)], event, data);
 };
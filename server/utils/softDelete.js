@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const QUERY_HOOKS = [
+  "countDocuments",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "updateMany",
+  "updateOne",
+];
+
+// Mongoose plugin adding deletedAt/deletedBy. Queries skip soft-deleted
+// documents unless their filter mentions deletedAt or they are run with
+// `.setOptions({ withDeleted: true })`.
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted) return;
+    if (this.getFilter().deletedAt !== undefined) return;
+
+    this.where({ deletedAt: null });
+  });
+};
@@ -0,0 +1,133 @@
+import Business from "../models/business.model.js";
+import Category from "../models/category.model.js";
+import Item from "../models/item.model.js";
+import Order from "../models/order.model.js";
+import BusinessMember from "../models/businessMember.model.js";
+import { cleanupOrphanedUploads } from "./images.js";
+
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const RESTORED = { deletedAt: null, deletedBy: null };
+
+export const getRetentionDays = () =>
+  Number(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+// Children deleted by the cascade share the parent's deletedAt, which is how
+// a restore finds exactly the subtree removed with it.
+
+export const softDeleteBusiness = async (businessId, deletedBy) => {
+  const deletion = { deletedAt: new Date(), deletedBy };
+
+  await Promise.all([
+    Business.updateOne({ _id: businessId, deletedAt: null }, deletion),
+    Category.updateMany({ businessId, deletedAt: null }, deletion),
+    Item.updateMany({ businessId, deletedAt: null }, deletion),
+  ]);
+};
+
+// Subcategories and their items go with the category
+export const softDeleteCategory = async (categoryId, deletedBy) => {
+  const deletion = { deletedAt: new Date(), deletedBy };
+  const subcategories = await Category.find({ parentId: categoryId }).select(
+    "_id"
+  );
+  const categoryIds = [categoryId, ...subcategories.map((c) => c._id)];
+
+  await Promise.all([
+    Category.updateMany(
+      { _id: { $in: categoryIds }, deletedAt: null },
+      deletion
+    ),
+    Item.updateMany(
+      { categoryId: { $in: categoryIds }, deletedAt: null },
+      deletion
+    ),
+  ]);
+};
+
+export const softDeleteItem = async (itemId, deletedBy) => {
+  await Item.updateOne(
+    { _id: itemId, deletedAt: null },
+    { deletedAt: new Date(), deletedBy }
+  );
+};
+
+export const restoreBusiness = async (business) => {
+  const { deletedAt } = business;
+
+  await Promise.all([
+    Business.updateOne({ _id: business._id, deletedAt }, RESTORED),
+    Category.updateMany({ businessId: business._id, deletedAt }, RESTORED),
+    Item.updateMany({ businessId: business._id, deletedAt }, RESTORED),
+  ]);
+};
+
+export const restoreCategory = async (category) => {
+  const { deletedAt } = category;
+  const subcategories = await Category.find({
+    parentId: category._id,
+    deletedAt,
+  }).select("_id");
+  const categoryIds = [category._id, ...subcategories.map((c) => c._id)];
+
+  await Promise.all([
+    Category.updateMany({ _id: { $in: categoryIds }, deletedAt }, RESTORED),
+    Item.updateMany({ categoryId: { $in: categoryIds }, deletedAt }, RESTORED),
+  ]);
+};
+
+export const restoreItem = async (item) => {
+  await Item.updateOne({ _id: item._id, deletedAt: item.deletedAt }, RESTORED);
+};
+
+// Hard-deletes everything soft-deleted more than `retentionDays` ago. Orders
+// and members of a purged business are removed with it, then uploaded
+// images nothing refers to any more.
+export const purgeDeletedRecords = async (
+  retentionDays = getRetentionDays()
+) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const businesses = await Business.find(expired).select("_id");
+  const businessIds = businesses.map((b) => b._id);
+
+  const [items, categories, orders, members, purgedBusinesses] =
+    await Promise.all([
+      Item.deleteMany({ $or: [expired, { businessId: { $in: businessIds } }] }),
+      Category.deleteMany({
+        $or: [expired, { businessId: { $in: businessIds } }],
+      }),
+      Order.deleteMany({ business: { $in: businessIds } }),
+      BusinessMember.deleteMany({ businessId: { $in: businessIds } }),
+      Business.deleteMany({ _id: { $in: businessIds } }),
+    ]);
+
+  return {
+    retentionDays,
+    businesses: purgedBusinesses.deletedCount,
+    categories: categories.deletedCount,
+    items: items.deletedCount,
+    orders: orders.deletedCount,
+    members: members.deletedCount,
+    uploads: await cleanupOrphanedUploads(),
+  };
+};
+
+const runPurge = () =>
+  purgeDeletedRecords()
+    .then((result) => {
+      console.log("Purged soft-deleted records", result);
+    })
+    .catch((err) => {
+      console.log(err);
+    });
+
+// Runs once at startup, so restarts within an interval do not skip purges,
+// then every PURGE_INTERVAL_MS
+export const schedulePurgeJob = () => {
+  runPurge();
+
+  const timer = setInterval(runPurge, PURGE_INTERVAL_MS);
+  timer.unref();
+};
@@ -0,0 +1,202 @@
+import Item from "../models/item.model.js";
+import { emitStockAlert } from "./socketioFunctions.js";
+
+// Stock is tracked only where Item.stock or an option's stock is a number;
+// null means unlimited.
+
+export const isValidStock = (stock) =>
+  stock === null || (Number.isInteger(stock) && stock >= 0);
+
+const optionStockPath = "optionGroups.$[].options.$[option].stock";
+
+const findOption = (item, optionId) => {
+  for (const group of item.optionGroups || []) {
+    const option = group.options.find(
+      (o) => o._id.toString() === optionId.toString()
+    );
+    if (option) return option;
+  }
+
+  return null;
+};
+
+// Sums the quantities each tracked item and option needs for these lines
+const collectReservations = (orderItems, itemsById) => {
+  const reservations = new Map();
+
+  const add = (key, reservation, quantity) => {
+    const existing = reservations.get(key);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      reservations.set(key, { ...reservation, quantity });
+    }
+  };
+
+  for (const line of orderItems) {
+    const item = itemsById.get(line.itemId.toString());
+    if (!item) continue;
+
+    if (item.stock != null) {
+      add(item._id.toString(), { item }, line.quantity);
+    }
+
+    for (const { optionId } of line.options || []) {
+      const option = findOption(item, optionId);
+      if (option?.stock != null) {
+        add(`${item._id}:${optionId}`, { item, option }, line.quantity);
+      }
+    }
+  }
+
+  return [...reservations.values()];
+};
+
+const decrement = ({ item, option, quantity }) => {
+  if (!option) {
+    return Item.findOneAndUpdate(
+      { _id: item._id, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } },
+      { new: true }
+    );
+  }
+
+  return Item.findOneAndUpdate(
+    {
+      _id: item._id,
+      "optionGroups.options": {
+        $elemMatch: { _id: option._id, stock: { $gte: quantity } },
+      },
+    },
+    { $inc: { [optionStockPath]: -quantity } },
+    { new: true, arrayFilters: [{ "option._id": option._id }] }
+  );
+};
+
+const increment = ({ itemId, optionId, quantity }) => {
+  if (!optionId) {
+    return Item.updateOne(
+      { _id: itemId, stock: { $ne: null } },
+      { $inc: { stock: quantity } }
+    );
+  }
+
+  return Item.updateOne(
+    { _id: itemId },
+    { $inc: { [optionStockPath]: quantity } },
+    {
+      arrayFilters: [{ "option._id": optionId, "option.stock": { $ne: null } }],
+    }
+  );
+};
+
+// Alerts once, when this reservation takes stock from above the item's
+// threshold to at or below it.
+const alertLowStock = (business, item, option, stock, quantity) => {
+  const threshold = item.lowStockThreshold;
+  const payload = {
+    businessId: business._id,
+    itemId: item._id,
+    itemName: item.name,
+    optionId: option?._id ?? null,
+    optionName: option?.name ?? null,
+    stock,
+    lowStockThreshold: threshold,
+  };
+
+  if (stock <= 0 && stock + quantity > 0) {
+    emitStockAlert("itemSoldOut", business, payload);
+  } else if (
+    threshold != null &&
+    stock <= threshold &&
+    stock + quantity > threshold
+  ) {
+    emitStockAlert("itemLowStock", business, payload);
+  }
+};
+
+// Records on each line and option whether stock was taken for it, so a later
+// release does not give back stock to something that became tracked after
+// the order was placed.
+const markReserved = (orderItems, itemsById) => {
+  for (const line of orderItems) {
+    const item = itemsById.get(line.itemId.toString());
+    line.stockReserved = item?.stock != null;
+
+    for (const option of line.options || []) {
+      option.stockReserved =
+        !!item && findOption(item, option.optionId)?.stock != null;
+    }
+  }
+};
+
+// Lines saved before stockReserved was recorded fall back to releasing
+// whatever is tracked now.
+const wasReserved = ({ stockReserved }) => stockReserved !== false;
+
+// Gives stock back for order lines, e.g. when an order is canceled.
+// Only stock the order actually took is released.
+export const releaseStock = async (orderItems) => {
+  await Promise.all(
+    orderItems.flatMap((line) => [
+      ...(wasReserved(line)
+        ? [increment({ itemId: line.itemId, quantity: line.quantity })]
+        : []),
+      ...(line.options || [])
+        .filter(wasReserved)
+        .map(({ optionId }) =>
+          increment({ itemId: line.itemId, optionId, quantity: line.quantity })
+        ),
+    ])
+  );
+};
+
+// Atomically takes stock for every tracked item and option in the order
+// lines. Each decrement only applies while enough stock is left, so
+// concurrent orders cannot oversell; when one fails the ones already taken
+// are given back. Marks the lines with what was taken. Returns null,
+// otherwise an error descriptor ready to be passed to sendError.
+export const reserveStock = async (business, orderItems) => {
+  const items = await Item.find({
+    _id: { $in: orderItems.map((line) => line.itemId) },
+  });
+  const itemsById = new Map(items.map((item) => [item._id.toString(), item]));
+
+  const reserved = [];
+  for (const reservation of collectReservations(orderItems, itemsById)) {
+    const updatedItem = await decrement(reservation);
+
+    if (!updatedItem) {
+      await Promise.all(
+        reserved.map(({ item, option, quantity }) =>
+          increment({ itemId: item._id, optionId: option?._id, quantity })
+        )
+      );
+
+      const { item, option } = reservation;
+      const name = option ? `${item.name} (${option.name})` : item.name;
+      return {
+        statusCode: 409,
+        message: `Not enough stock for ${name}.`,
+        error: {
+          itemId: item._id,
+          optionId: option?._id ?? null,
+          requested: reservation.quantity,
+        },
+      };
+    }
+
+    reserved.push({ ...reservation, updatedItem });
+  }
+
+  markReserved(orderItems, itemsById);
+
+  for (const { item, option, quantity, updatedItem } of reserved) {
+    const stock = option
+      ? findOption(updatedItem, option._id).stock
+      : updatedItem.stock;
+    alertLowStock(business, updatedItem, option, stock, quantity);
+  }
+
+  return null;
+};
@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const getUploadDir = () =>
+  process.env.UPLOAD_DIR || path.resolve(__dirname, "../../uploads");
+
+// Stores files on disk; index.js serves UPLOAD_DIR at /uploads
+const localDriver = {
+  put: async (key, body) => {
+    const filePath = path.join(getUploadDir(), key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+  },
+  remove: async (key) => {
+    await fs.rm(path.join(getUploadDir(), key), { force: true });
+  },
+  url: (key) => `${process.env.UPLOAD_BASE_URL || "/uploads"}/${key}`,
+};
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const hmac = (key, value) =>
+  crypto.createHmac("sha256", key).update(value).digest();
+
+// Path-style request signed with AWS Signature Version 4, so it works with
+// AWS S3 as well as local stand-ins such as MinIO.
+const s3Request = async (method, key, body = "", contentType) => {
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || "us-east-1";
+  const url = new URL(
+    `/${bucket}/${key.split("/").map(encodeURIComponent).join("/")}`,
+    process.env.S3_ENDPOINT
+  );
+
+  const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const headers = {
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+    ...(contentType && { "content-type": contentType }),
+  };
+  const headerNames = Object.keys(headers).sort();
+  const signedHeaders = headerNames.join(";");
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    "",
+    headerNames.map((name) => `${name}:${headers[name]}\n`).join(""),
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+  const signingKey = [dateStamp, region, "s3", "aws4_request"].reduce(
+    hmac,
+    `AWS4${process.env.S3_SECRET_ACCESS_KEY}`
+  );
+  const signature = crypto
+    .createHmac("sha256", signingKey)
+    .update(stringToSign)
+    .digest("hex");
+
+  const { host, ...requestHeaders } = headers;
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...requestHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${process.env.S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    },
+    body: method === "PUT" ? body : undefined,
+  });
+
+  if (!response.ok && !(method === "DELETE" && response.status === 404)) {
+    throw new Error(`S3 ${method} ${key} failed with ${response.status}`);
+  }
+};
+
+// S3-compatible object storage configured with S3_ENDPOINT, S3_BUCKET,
+// S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and optionally
+// S3_PUBLIC_URL when objects are served from another host.
+const s3Driver = {
+  put: (key, body, contentType) => s3Request("PUT", key, body, contentType),
+  remove: (key) => s3Request("DELETE", key),
+  url: (key) =>
+    `${
+      process.env.S3_PUBLIC_URL ||
+      `${process.env.S3_ENDPOINT}/${process.env.S3_BUCKET}`
+    }/${key}`,
+};
+
+const drivers = {
+  local: localDriver,
+  s3: s3Driver,
+};
+
+// A driver is an object with async `put(key, body, contentType)` and
+// `remove(key)` methods and a `url(key)` method. Select it with the
+// STORAGE_DRIVER environment variable.
+export const registerStorageDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+const getDriver = () => {
+  const name = process.env.STORAGE_DRIVER || "local";
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return driver;
+};
+
+export const putFile = async (key, body, contentType) => {
+  const driver = getDriver();
+  await driver.put(key, body, contentType);
+
+  return driver.url(key);
+};
+
+export const removeFile = (key) => getDriver().remove(key);
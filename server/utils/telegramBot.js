@@ -0,0 +1,81 @@
+export const REQUEST_TIMEOUT_MS = 10000;
+
+// Deep link parameter that starts the ordering conversation for a business,
+// e.g. /start order_coffee-and-co
+export const ORDER_START_PREFIX = "order_";
+
+// Defaults to the public Bot API; point TELEGRAM_API_URL at a local stub
+// server to run without reaching Telegram.
+const getApiUrl = () =>
+  (process.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(
+    /\/+$/,
+    ""
+  );
+
+export const isTelegramBotConfigured = () => !!process.env.TELEGRAM_BOT_TOKEN;
+
+// Calls a Bot API method and returns its result. Failed calls throw an error
+// with `retryable` set for network errors, rate limits and server errors,
+// and `retryAfter` in seconds when Telegram asks to wait.
+export const callBotApi = async (method, params = {}) => {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
+    throw new Error("TELEGRAM_BOT_TOKEN is not configured");
+  }
+
+  let response;
+  try {
+    response = await fetch(`${getApiUrl()}/bot${token}/${method}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(params),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (cause) {
+    const error = new Error(
+      `Telegram ${method} request failed: ${cause.message}`
+    );
+    error.retryable = true;
+    throw error;
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.ok) {
+    const error = new Error(
+      `Telegram ${method} failed with ${response.status}: ${body.description || response.statusText}`
+    );
+    error.retryable = response.status === 429 || response.status >= 500;
+    error.retryAfter = body.parameters?.retry_after;
+    throw error;
+  }
+
+  return body.result;
+};
+
+export const sendTelegramMessage = (chatId, text, options = {}) =>
+  callBotApi("sendMessage", {
+    chat_id: chatId,
+    text,
+    parse_mode: "HTML",
+    ...options,
+  });
+
+// For text interpolated into HTML formatted messages
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+export const formatPrice = (value) => `$${Number(value).toFixed(2)}`;
+
+// Opens the bot's ordering conversation for a business. Telegram limits
+// start parameters to 64 characters, so very long slugs get no link.
+export const getOrderBotLink = (slug) => {
+  const botUsername = process.env.TELEGRAM_BOT_USERNAME;
+  const start = `${ORDER_START_PREFIX}${slug}`;
+
+  return botUsername && start.length <= 64
+    ? `https://t.me/${botUsername}?start=${start}`
+    : null;
+};
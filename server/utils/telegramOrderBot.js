@@ -0,0 +1,663 @@
+import mongoose from "mongoose";
+import Business from "../models/business.model.js";
+import Category from "../models/category.model.js";
+import Item from "../models/item.model.js";
+import TelegramConversation from "../models/telegramConversation.model.js";
+import { buildOrderItems } from "./orderItems.js";
+import { placeOrder } from "./orderCheckout.js";
+import { resolveItemOptions } from "./itemOptions.js";
+import { checkAcceptingOrders, isCategoryAvailable } from "./businessHours.js";
+import { normalizeLocale, translateFields } from "./translations.js";
+import { normalizePhone } from "./phone.js";
+import { callBotApi, escapeHtml, formatPrice } from "./telegramBot.js";
+
+const MAX_DETAIL_LENGTH = 200;
+
+const PROMPTS = {
+  name: "Please send your name.",
+  phone: "Please send your phone number, or share it with the button below.",
+  address: "Please send your delivery address.",
+};
+
+const send = (chatId, text, replyMarkup) =>
+  callBotApi("sendMessage", {
+    chat_id: chatId,
+    text,
+    parse_mode: "HTML",
+    reply_markup: replyMarkup,
+  });
+
+// Shows a screen, replacing the message whose button was pressed if any
+const show = async (chatId, messageId, { text, keyboard }) => {
+  const replyMarkup = { inline_keyboard: keyboard };
+  if (!messageId) {
+    return send(chatId, text, replyMarkup);
+  }
+
+  try {
+    await callBotApi("editMessageText", {
+      chat_id: chatId,
+      message_id: messageId,
+      text,
+      parse_mode: "HTML",
+      reply_markup: replyMarkup,
+    });
+  } catch (error) {
+    // Pressing a button that leaves the screen as it is
+    if (!/message is not modified/i.test(error.message)) throw error;
+  }
+};
+
+const button = (text, data) => ({ text, callback_data: data });
+
+const localize = (doc, conversation) =>
+  translateFields(doc, conversation.locale);
+
+const cartButton = (conversation) => {
+  const count = conversation.cart.reduce((sum, line) => sum + line.quantity, 0);
+
+  return button(`🛒 Cart (${count})`, "cart");
+};
+
+// Cart lines in the order request shape used by buildOrderItems
+const cartItems = (conversation) =>
+  conversation.cart.map(({ itemId, optionIds, quantity }) => ({
+    itemId,
+    optionIds,
+    quantity,
+  }));
+
+// Lines of text for the cart with its total, or the reason it cannot be
+// ordered as it is.
+const describeCart = async (conversation, business) => {
+  const items = await Item.find({
+    _id: { $in: conversation.cart.map((line) => line.itemId) },
+  });
+  const itemsById = new Map(items.map((item) => [item._id.toString(), item]));
+
+  const lines = conversation.cart.map((line) => {
+    const item = itemsById.get(line.itemId.toString());
+    if (!item) return `${line.quantity} × Unavailable item`;
+
+    const options = item.optionGroups
+      .flatMap((group) => group.options)
+      .filter((option) =>
+        line.optionIds.some((optionId) => optionId.equals(option._id))
+      )
+      .map((option) => option.name)
+      .join(", ");
+
+    return (
+      `${line.quantity} × ${escapeHtml(localize(item, conversation).name)}` +
+      (options ? ` (${escapeHtml(options)})` : "")
+    );
+  });
+
+  const { total, error } = await buildOrderItems(
+    business,
+    cartItems(conversation)
+  );
+  lines.push(
+    "",
+    error
+      ? `⚠️ ${escapeHtml(error.message)}`
+      : `<b>Total: ${formatPrice(total)}</b>`
+  );
+
+  return { lines, itemsById };
+};
+
+const menuScreen = async (conversation, business) => {
+  const categories = await Category.find({
+    businessId: business._id,
+    status: "active",
+    parentId: null,
+  }).sort({ position: 1, createdAt: 1 });
+
+  const lines = [`<b>${escapeHtml(localize(business, conversation).name)}</b>`];
+  const closedError = checkAcceptingOrders(business);
+  if (closedError) {
+    lines.push(`⚠️ ${closedError.message} You can still browse the menu.`);
+  }
+  lines.push("", "Choose a category:");
+
+  return {
+    text: lines.join("\n"),
+    keyboard: [
+      ...categories
+        .filter((category) => isCategoryAvailable(category, business))
+        .map((category) => [
+          button(localize(category, conversation).name, `c:${category._id}`),
+        ]),
+      [cartButton(conversation)],
+    ],
+  };
+};
+
+// Returns null when the category is not on the menu right now
+const categoryScreen = async (conversation, business, categoryId) => {
+  const category = await Category.findOne({
+    _id: categoryId,
+    businessId: business._id,
+    status: "active",
+  });
+  if (!category || !isCategoryAvailable(category, business)) return null;
+
+  const [subcategories, items] = await Promise.all([
+    Category.find({
+      businessId: business._id,
+      parentId: category._id,
+      status: "active",
+    }).sort({ position: 1, createdAt: 1 }),
+    Item.find({ categoryId: category._id, status: "active" }).sort({
+      createdAt: 1,
+    }),
+  ]);
+
+  const { name, description } = localize(category, conversation);
+  const lines = [`<b>${escapeHtml(name)}</b>`];
+  if (description) lines.push(escapeHtml(description));
+
+  return {
+    text: lines.join("\n"),
+    keyboard: [
+      ...subcategories
+        .filter((subcategory) => isCategoryAvailable(subcategory, business))
+        .map((subcategory) => [
+          button(
+            `📂 ${localize(subcategory, conversation).name}`,
+            `c:${subcategory._id}`
+          ),
+        ]),
+      ...items.map((item) => [
+        button(
+          `${localize(item, conversation).name} — ${formatPrice(item.price)}` +
+            (item.soldOut ? " (sold out)" : ""),
+          `i:${item._id}`
+        ),
+      ]),
+      [
+        button(
+          "⬅️ Back",
+          category.parentId ? `c:${category.parentId}` : "menu"
+        ),
+        cartButton(conversation),
+      ],
+    ],
+  };
+};
+
+const formatPriceDelta = (priceDelta) =>
+  `${priceDelta < 0 ? "-" : "+"}${formatPrice(Math.abs(priceDelta))}`;
+
+const itemScreen = (conversation, item) => {
+  const { name, description } = localize(item, conversation);
+  const lines = [`<b>${escapeHtml(name)}</b> — ${formatPrice(item.price)}`];
+  if (description) lines.push(escapeHtml(description));
+
+  const rows = [];
+  for (const group of item.optionGroups) {
+    const limit =
+      group.type === "multiple"
+        ? group.maxSelect
+          ? `up to ${group.maxSelect}`
+          : "any"
+        : "one";
+    lines.push(
+      `${escapeHtml(group.name)}: choose ${limit}${group.required ? " (required)" : ""}`
+    );
+
+    for (const option of group.options) {
+      if (option.status !== "active") continue;
+
+      const selected = conversation.selection.optionIds.some((optionId) =>
+        optionId.equals(option._id)
+      );
+      rows.push([
+        button(
+          `${selected ? "✅" : "▫️"} ${group.name}: ${option.name}` +
+            (option.priceDelta
+              ? ` (${formatPriceDelta(option.priceDelta)})`
+              : ""),
+          `o:${option._id}`
+        ),
+      ]);
+    }
+  }
+
+  return {
+    text: lines.join("\n"),
+    keyboard: [
+      ...rows,
+      [button("➕ Add to cart", "add")],
+      [button("⬅️ Back", `c:${item.categoryId}`), cartButton(conversation)],
+    ],
+  };
+};
+
+const cartScreen = async (conversation, business) => {
+  if (!conversation.cart.length) {
+    return {
+      text: "Your cart is empty.",
+      keyboard: [[button("⬅️ Menu", "menu")]],
+    };
+  }
+
+  const { lines, itemsById } = await describeCart(conversation, business);
+
+  return {
+    text: ["<b>Your cart</b>", "", ...lines].join("\n"),
+    keyboard: [
+      ...conversation.cart.map((line) => {
+        const item = itemsById.get(line.itemId.toString());
+
+        return [
+          button("➖", `r:${line._id}`),
+          button(
+            item ? localize(item, conversation).name : "Unavailable item",
+            "cart"
+          ),
+          button("➕", `p:${line._id}`),
+        ];
+      }),
+      [button("✅ Checkout", "checkout")],
+      [button("⬅️ Menu", "menu"), button("🗑 Clear", "clear")],
+    ],
+  };
+};
+
+const confirmScreen = async (conversation, business) => {
+  const { lines } = await describeCart(conversation, business);
+  const { name, phone, address } = conversation.customer;
+
+  return {
+    text: [
+      "<b>Please confirm your order</b>",
+      "",
+      ...lines,
+      "",
+      `Name: ${escapeHtml(name)}`,
+      `Phone: ${escapeHtml(phone)}`,
+      `Address: ${escapeHtml(address)}`,
+    ].join("\n"),
+    keyboard: [
+      [button("✅ Place order", "place")],
+      [button("✏️ Change details", "details"), button("🛒 Edit cart", "cart")],
+    ],
+  };
+};
+
+// Asks for the next customer detail; the phone prompt offers a button that
+// shares the number from the customer's Telegram account.
+const prompt = (chatId, step, notice) =>
+  send(
+    chatId,
+    notice ? `${notice} ${PROMPTS[step]}` : PROMPTS[step],
+    step === "phone"
+      ? {
+          keyboard: [
+            [{ text: "📱 Share my phone number", request_contact: true }],
+          ],
+          one_time_keyboard: true,
+          resize_keyboard: true,
+        }
+      : { remove_keyboard: true }
+  );
+
+const findItem = (business, itemId) =>
+  Item.findOne({ _id: itemId, businessId: business._id, status: "active" });
+
+const clearSelection = (conversation) => {
+  conversation.selection = { itemId: null, optionIds: [] };
+};
+
+// Button handlers. Each returns { screen } to show, optionally with a short
+// `notice`, or { alert } to explain why nothing happened.
+const CALLBACK_ACTIONS = {
+  menu: async ({ conversation, business }) => ({
+    screen: await menuScreen(conversation, business),
+  }),
+
+  c: async ({ conversation, business, id }) => {
+    const screen = await categoryScreen(conversation, business, id);
+
+    return screen
+      ? { screen }
+      : { alert: "This category is not available right now." };
+  },
+
+  i: async ({ conversation, business, id }) => {
+    const item = await findItem(business, id);
+    if (!item) return { alert: "This item is not available right now." };
+
+    conversation.selection = { itemId: item._id, optionIds: [] };
+    await conversation.save();
+
+    return { screen: itemScreen(conversation, item) };
+  },
+
+  // Toggles an option of the selected item. Choosing an option of a single
+  // choice group replaces the group's earlier choice.
+  o: async ({ conversation, business, id }) => {
+    const item =
+      conversation.selection.itemId &&
+      (await findItem(business, conversation.selection.itemId));
+    const group = item?.optionGroups.find((g) => g.options.id(id));
+    if (!group) return { alert: "This option is not available right now." };
+
+    const isSelected = conversation.selection.optionIds.some((optionId) =>
+      optionId.equals(id)
+    );
+    conversation.selection.optionIds = conversation.selection.optionIds.filter(
+      (optionId) =>
+        !optionId.equals(id) &&
+        (group.type === "multiple" || !group.options.id(optionId))
+    );
+    if (!isSelected) conversation.selection.optionIds.push(id);
+    await conversation.save();
+
+    return { screen: itemScreen(conversation, item) };
+  },
+
+  add: async ({ conversation, business }) => {
+    const item =
+      conversation.selection.itemId &&
+      (await findItem(business, conversation.selection.itemId));
+    if (!item) return { alert: "This item is not available right now." };
+    if (item.soldOut) return { alert: `${item.name} is sold out.` };
+
+    const optionIds = conversation.selection.optionIds;
+    const { error } = resolveItemOptions(item, optionIds);
+    if (error) return { alert: error.message };
+
+    // Same item with the same options adds to the existing line
+    const sameOptions = (line) =>
+      line.optionIds.length === optionIds.length &&
+      line.optionIds.every((optionId) =>
+        optionIds.some((id) => id.equals(optionId))
+      );
+    const line = conversation.cart.find(
+      (l) => l.itemId.equals(item._id) && sameOptions(l)
+    );
+    if (line) {
+      line.quantity += 1;
+    } else {
+      conversation.cart.push({
+        itemId: item._id,
+        optionIds: [...optionIds],
+        quantity: 1,
+      });
+    }
+    clearSelection(conversation);
+    await conversation.save();
+
+    return {
+      screen:
+        (await categoryScreen(conversation, business, item.categoryId)) ||
+        (await menuScreen(conversation, business)),
+      notice: `Added ${localize(item, conversation).name} to your cart.`,
+    };
+  },
+
+  cart: async ({ conversation, business }) => ({
+    screen: await cartScreen(conversation, business),
+  }),
+
+  // Removes one from a cart line, dropping the line at zero
+  r: async ({ conversation, business, id }) => {
+    const line = conversation.cart.id(id);
+    if (line && --line.quantity < 1) line.deleteOne();
+    await conversation.save();
+
+    return { screen: await cartScreen(conversation, business) };
+  },
+
+  p: async ({ conversation, business, id }) => {
+    const line = conversation.cart.id(id);
+    if (line) line.quantity += 1;
+    await conversation.save();
+
+    return { screen: await cartScreen(conversation, business) };
+  },
+
+  clear: async ({ conversation, business }) => {
+    conversation.cart = [];
+    await conversation.save();
+
+    return { screen: await cartScreen(conversation, business) };
+  },
+
+  // Checks the cart can be ordered, then asks for the customer's details
+  // unless the ones from the last order can be confirmed.
+  checkout: async ({ conversation, business, chatId }) => {
+    if (!conversation.cart.length) return { alert: "Your cart is empty." };
+
+    const closedError = checkAcceptingOrders(business);
+    if (closedError) return { alert: closedError.message };
+
+    const { error } = await buildOrderItems(business, cartItems(conversation));
+    if (error) return { alert: error.message };
+
+    const { name, phone, address } = conversation.customer;
+    if (name && phone && address) {
+      conversation.step = "confirm";
+      await conversation.save();
+
+      return { screen: await confirmScreen(conversation, business) };
+    }
+
+    conversation.step = "name";
+    await conversation.save();
+    await prompt(chatId, "name");
+
+    return {};
+  },
+
+  details: async ({ conversation, chatId }) => {
+    conversation.step = "name";
+    await conversation.save();
+    await prompt(chatId, "name");
+
+    return {};
+  },
+
+  place: async ({ conversation, business }) => {
+    // Claim the confirmation first so a double tap places one order
+    const claimed = await TelegramConversation.findOneAndUpdate(
+      { _id: conversation._id, step: "confirm" },
+      { step: "browsing" }
+    );
+    if (!claimed) return { alert: "Please check out first." };
+
+    const { name, phone, address } = conversation.customer;
+    const { order, error } = await placeOrder(
+      business,
+      { name, phone, address, items: cartItems(conversation), note: "" },
+      { reason: "Order placed via Telegram" }
+    );
+    if (error) {
+      await TelegramConversation.updateOne(
+        { _id: conversation._id },
+        { step: "confirm" }
+      );
+
+      return { alert: error.message };
+    }
+
+    await TelegramConversation.updateOne(
+      { _id: conversation._id },
+      { cart: [], selection: { itemId: null, optionIds: [] } }
+    );
+
+    return {
+      screen: {
+        text: [
+          `✅ <b>Order #${order._id.toString().slice(-6)} placed</b>`,
+          `Total: ${formatPrice(order.total)}`,
+          "",
+          `${escapeHtml(localize(business, conversation).name)} will confirm it shortly.`,
+        ].join("\n"),
+        keyboard: [[button("⬅️ Menu", "menu")]],
+      },
+    };
+  },
+};
+
+// Any other button leaves checkout, abandoning the details being entered
+const CHECKOUT_ACTIONS = ["checkout", "details", "place"];
+
+// The conversation of a chat with its business, or null when there is none
+// or the business no longer takes orders through the menu.
+const loadConversation = async (chatId) => {
+  const conversation = await TelegramConversation.findOne({ chatId });
+  if (!conversation) return null;
+
+  const business = await Business.findById(conversation.businessId);
+  if (!business || business.status !== "active") return null;
+
+  return { conversation, business };
+};
+
+// Handles "/start order_<slug>" from a business's order link
+export const startOrderConversation = async (message, slug) => {
+  const chatId = String(message.chat.id);
+  if (message.chat.type !== "private") {
+    return send(chatId, "Please order in a private chat with the bot.");
+  }
+
+  const business = await Business.findOne({
+    slug: slug.toLowerCase(),
+    status: "active",
+  });
+  if (!business) {
+    return send(chatId, "This menu is not available.");
+  }
+
+  const conversation =
+    (await TelegramConversation.findOne({ chatId })) ||
+    new TelegramConversation({ chatId, businessId: business._id });
+
+  // The cart belongs to one business; the customer's details are kept
+  if (!conversation.businessId.equals(business._id)) {
+    conversation.businessId = business._id;
+    conversation.cart = [];
+  }
+  conversation.step = "browsing";
+  conversation.locale = normalizeLocale(message.from?.language_code);
+  clearSelection(conversation);
+  await conversation.save();
+
+  return show(chatId, null, await menuScreen(conversation, business));
+};
+
+export const handleOrderCallback = async (callbackQuery) => {
+  const answer = (text, showAlert = false) =>
+    callBotApi("answerCallbackQuery", {
+      callback_query_id: callbackQuery.id,
+      text,
+      show_alert: showAlert,
+    });
+
+  // Every callback must be answered, or the button keeps spinning
+  try {
+    const chatId = String(callbackQuery.message?.chat.id);
+    const session = await loadConversation(chatId);
+    if (!session) {
+      return answer(
+        "This order has ended. Open the business's order link to start again.",
+        true
+      );
+    }
+
+    const [action, id] = String(callbackQuery.data || "").split(":");
+    const handler = CALLBACK_ACTIONS[action];
+    if (
+      !handler ||
+      (id !== undefined && !mongoose.Types.ObjectId.isValid(id))
+    ) {
+      return answer();
+    }
+
+    const { conversation, business } = session;
+    if (
+      !CHECKOUT_ACTIONS.includes(action) &&
+      conversation.step !== "browsing"
+    ) {
+      conversation.step = "browsing";
+      await conversation.save();
+    }
+
+    const { screen, notice, alert } = await handler({
+      conversation,
+      business,
+      id,
+      chatId,
+    });
+    if (screen) {
+      await show(chatId, callbackQuery.message.message_id, screen);
+    }
+
+    return alert ? answer(alert, true) : answer(notice);
+  } catch (error) {
+    await answer("Something went wrong. Please try again.", true).catch(
+      () => {}
+    );
+    throw error;
+  }
+};
+
+// Text and shared contacts, used to collect the customer's details
+export const handleOrderMessage = async (message) => {
+  const chatId = String(message.chat.id);
+  if (message.chat.type !== "private") return;
+
+  const session = await loadConversation(chatId);
+  if (!session) {
+    return send(chatId, "Open a business's order link to start ordering.");
+  }
+
+  const { conversation, business } = session;
+  const text = message.text?.trim();
+
+  if (text === "/menu" || text === "/cancel") {
+    conversation.step = "browsing";
+    if (text === "/cancel") conversation.cart = [];
+    await conversation.save();
+
+    return show(chatId, null, await menuScreen(conversation, business));
+  }
+
+  // Shared contacts may leave out the leading +
+  const contactPhone = message.contact?.phone_number;
+  let value =
+    conversation.step === "phone" && contactPhone
+      ? `+${contactPhone.replace(/^\+/, "")}`
+      : text;
+  if (!PROMPTS[conversation.step]) {
+    return send(chatId, "Use the buttons above, or send /menu.");
+  }
+  if (!value || value.startsWith("/") || value.length > MAX_DETAIL_LENGTH) {
+    return prompt(chatId, conversation.step);
+  }
+
+  if (conversation.step === "phone") {
+    const phone = normalizePhone(value, business.phoneRegion);
+    if (!phone) {
+      return prompt(chatId, "phone", "That is not a valid phone number.");
+    }
+    value = phone.e164;
+  }
+
+  conversation.customer[conversation.step] = value;
+  const nextStep = { name: "phone", phone: "address", address: "confirm" }[
+    conversation.step
+  ];
+  conversation.step = nextStep;
+  await conversation.save();
+
+  if (nextStep !== "confirm") {
+    return prompt(chatId, nextStep);
+  }
+
+  return show(chatId, null, await confirmScreen(conversation, business));
+};
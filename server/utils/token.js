@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/refreshToken.model.js";
+import UserToken from "../models/userToken.model.js";
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
+  });
+
+const createRefreshToken = async (userId, sessionId, req) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const days = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+  await RefreshToken.create({
+    userId,
+    sessionId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: req?.ip,
+    userAgent: req?.headers?.["user-agent"],
+  });
+
+  return refreshToken;
+};
+
+// Starts a new session and returns its access and refresh token pair
+export const issueTokens = async (userId, req) => {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(userId, sessionId, req);
+
+  return { token: signAccessToken(userId, sessionId), refreshToken };
+};
+
+export const revokeSession = async (sessionId) => {
+  await RefreshToken.updateMany(
+    { sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+export const revokeAllSessions = async (userId) => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Exchanges a refresh token for a new pair. Returns null when the token is
+// unknown, expired or already used.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const current = await RefreshToken.findOne({
+    tokenHash,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  });
+
+  if (!current) {
+    // A token that was already rotated is being replayed: it may have been
+    // stolen, so end the whole session.
+    const reused = await RefreshToken.findOne({
+      tokenHash,
+      replacedByHash: { $ne: null },
+    });
+    if (reused) {
+      await revokeSession(reused.sessionId);
+    }
+    return null;
+  }
+
+  // Issue the replacement before revoking so the session never has a gap
+  const newRefreshToken = await createRefreshToken(
+    current.userId,
+    current.sessionId,
+    req
+  );
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revokedAt: null },
+    { revokedAt: now, replacedByHash: hashToken(newRefreshToken) }
+  );
+
+  if (!rotated) {
+    // Lost a race with a concurrent refresh of the same token
+    await RefreshToken.deleteOne({ tokenHash: hashToken(newRefreshToken) });
+    return null;
+  }
+
+  return {
+    userId: current.userId,
+    token: signAccessToken(current.userId, current.sessionId),
+    refreshToken: newRefreshToken,
+  };
+};
+
+export const findRefreshToken = async (refreshToken) =>
+  RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+
+  const token = await RefreshToken.exists({
+    sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return !!token;
+};
+
+// Single-use tokens for password reset and email verification. Issuing a new
+// token invalidates the user's earlier unused tokens of the same type.
+export const createUserToken = async (userId, type, expiresInMinutes) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  await UserToken.updateMany({ userId, type, usedAt: null }, { usedAt: now });
+
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + expiresInMinutes * 60 * 1000),
+  });
+
+  return token;
+};
+
+// Marks the token as used and returns its userId, or null when the token is
+// unknown, expired or already used.
+export const consumeUserToken = async (token, type) => {
+  const now = new Date();
+
+  const userToken = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now }
+  );
+
+  return userToken ? userToken.userId : null;
+};
@@ -0,0 +1,119 @@
+export const DEFAULT_LOCALE = "en";
+
+// Locales are ISO 639 language codes such as "en" or "km"
+const LOCALE_PATTERN = /^[a-z]{2,3}$/;
+
+export const TRANSLATABLE_FIELDS = ["name", "description"];
+
+// "km-KH" -> "km"; null when the value is not a language code
+export const normalizeLocale = (value) => {
+  const locale = String(value || "")
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+
+  return LOCALE_PATTERN.test(locale) ? locale : null;
+};
+
+// Locales from an Accept-Language header, most preferred first
+export const parseAcceptLanguage = (header = "") =>
+  header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const quality = params
+        .map((param) => param.trim().match(/^q=([\d.]+)$/))
+        .find(Boolean);
+
+      return {
+        locale: normalizeLocale(tag),
+        quality: quality ? Number(quality[1]) : 1,
+        index,
+      };
+    })
+    .filter(({ locale, quality }) => locale && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ locale }) => locale);
+
+// ?lang= wins over Accept-Language; falls back to the default locale when
+// none of the requested locales is available.
+export const pickLocale = (req, availableLocales, defaultLocale) => {
+  const requested = [
+    normalizeLocale(req.query.lang),
+    ...parseAcceptLanguage(req.headers["accept-language"]),
+  ].filter(Boolean);
+
+  return (
+    requested.find((locale) => availableLocales.includes(locale)) ||
+    defaultLocale
+  );
+};
+
+// Locales with at least one translation among `docs`
+export const collectLocales = (docs) => [
+  ...new Set(docs.flatMap((doc) => [...(doc.translations?.keys() ?? [])])),
+];
+
+// Translatable fields of `doc` in `locale`, each falling back to the value
+// stored in the business default locale.
+export const translateFields = (doc, locale) => {
+  const translation = doc.translations?.get(locale);
+
+  return Object.fromEntries(
+    TRANSLATABLE_FIELDS.map((field) => [
+      field,
+      translation?.[field] || doc[field],
+    ])
+  );
+};
+
+// Plain copy of `doc` with name and description in `locale` and without its
+// translations. Populated documents at `populatedPaths` are localized too.
+export const localizeDoc = (doc, locale, populatedPaths = []) => {
+  const { translations, ...fields } = doc.toObject();
+  const localized = { ...fields, ...translateFields(doc, locale) };
+
+  for (const path of populatedPaths) {
+    if (doc[path]?.toObject) {
+      localized[path] = localizeDoc(doc[path], locale);
+    }
+  }
+
+  return localized;
+};
+
+// Localizes documents for a response when the request has ?lang=. Each
+// document gets the locale picked from the request among its own
+// translations, defaulting to `getDefaultLocale(doc)`, its business default.
+// Content-Language lists the locales used. Without ?lang= the documents are
+// returned as stored, with their translations, since editors save them back.
+export const localizeForRequest = (
+  req,
+  res,
+  docs,
+  getDefaultLocale,
+  populatedPaths
+) => {
+  if (!req.query.lang) return docs;
+
+  const usedLocales = new Set();
+
+  const localized = docs.map((doc) => {
+    const defaultLocale = getDefaultLocale(doc) || DEFAULT_LOCALE;
+    const locale = pickLocale(
+      req,
+      [defaultLocale, ...collectLocales([doc])],
+      defaultLocale
+    );
+    usedLocales.add(locale);
+
+    return localizeDoc(doc, locale, populatedPaths);
+  });
+
+  if (usedLocales.size) {
+    res.set("Content-Language", [...usedLocales].join(", "));
+  }
+  res.vary("Accept-Language");
+
+  return localized;
+};
@@ -1,7 +1,9 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import { sendError } from "./response.js";
 import User from "../models/user.model.js";
-import Role from "../models/role.model.js";
+import { isSessionActive } from "./token.js";
+import { hasPermission, loadBusinessMemberships } from "./permissions.js";
 
 export const auth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -14,6 +16,11 @@ export const auth = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!(await isSessionActive(decoded.sessionId))) {
+      return sendError(res, 401, "Unauthorized, token revoked");
+    }
+
     const user = await User.findOne({
       _id: decoded.userId,
     });
@@ -24,10 +31,13 @@ export const auth = async (req, res, next) => {
 
     const populatedUser = await User.findById(user._id).populate(
       "roleId",
-      "name slug"
+      "name slug permissions"
     );
 
+    await loadBusinessMemberships(populatedUser);
+
     req.user = populatedUser;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     if (error.name === "TokenExpiredError") {
@@ -38,16 +48,85 @@ export const auth = async (req, res, next) => {
   }
 };
 
-export const admin = async (req, res, next) => {
-  const user = req.user;
-  const role = await Role.findById(user.roleId);
+// Socket.IO handshake middleware. Accepts the same JWT as `auth`, either in
+// `handshake.auth.token` or as a Bearer authorization header.
+export const socketAuth = async (socket, next) => {
+  const authHeader = socket.handshake.headers?.authorization;
+  const token =
+    socket.handshake.auth?.token ||
+    (authHeader?.startsWith("Bearer ") ? authHeader.split(" ")[1] : null);
 
-  if (!role) {
-    return sendError(res, 404, "Role not found");
+  if (!token) {
+    return next(new Error("Unauthorized, no token provided"));
   }
 
-  if (role.slug !== "admin") {
-    return sendError(res, 403, "Access denied. Admin role required.");
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!(await isSessionActive(decoded.sessionId))) {
+      return next(new Error("Unauthorized, token revoked"));
+    }
+
+    const user = await User.findById(decoded.userId).populate(
+      "roleId",
+      "name slug permissions"
+    );
+
+    if (!user) {
+      return next(new Error("User not found!"));
+    }
+
+    await loadBusinessMemberships(user);
+
+    socket.data.user = user;
+    socket.data.sessionId = decoded.sessionId;
+    next();
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return next(new Error("Unauthorized, token expired"));
+    }
+
+    return next(new Error("Unauthorized, invalid token"));
+  }
+};
+
+// Allows the request when the user's role grants at least one of the
+// permissions. Must run after `auth`.
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const allowed = permissions.some((permission) =>
+      hasPermission(req.user, permission)
+    );
+
+    if (!allowed) {
+      return sendError(
+        res,
+        403,
+        `Access denied. Requires permission: ${permissions.join(" or ")}.`
+      );
+    }
+    next();
+  };
+};
+
+// Checks the secret Telegram sends with every webhook update, set through
+// setWebhook's secret_token to the value of TELEGRAM_WEBHOOK_SECRET.
+export const verifyTelegramWebhook = (req, res, next) => {
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret) {
+    return sendError(res, 503, "Telegram webhook is not configured.");
+  }
+
+  const received = Buffer.from(
+    req.get("X-Telegram-Bot-Api-Secret-Token") || ""
+  );
+  const expected = Buffer.from(secret);
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    return sendError(res, 401, "Invalid Telegram webhook secret.");
   }
+
   next();
 };